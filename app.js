@@ -1,36 +1,512 @@
-/* Scrambler Tool (Div B 2026 rules) - Static GitHub Pages
-   - Local-only login (PBKDF2 hash in localStorage)
-   - Practice tab: timer + run recorder + chart + summary + CSV
-   - Meet tab: timer + multiple teams; each team has run1/run2 inputs (distance + up to 3 times averaged + bucket/penalties/failed)
+/* Scrambler Tool (2026 Div B rules built in) - Static GitHub Pages, installable + offline (sw.js)
+   - Local-only login (PBKDF2 hash); accounts, runs, practice sessions and meets in
+     IndexedDB, each user's encrypted (AES-GCM) with a key derived from their password
+   - Practice tab: timer + sessions with conditions + run recorder + chart + summary + CSV
+   - Meet tab: timer + multiple teams; each team has run1/run2 inputs (distance + up to 3 times averaged + bucket/penalties/failed);
+     printable per-team scoresheets and a ranked results sheet
+   - Rules tab: named scoring rulesets; each run and meet records the ruleset that scored it
+   - Data tab: versioned JSON backup/restore of one user or the whole device; runs CSV import
+   - Account tab: change password, rename, delete account, auto-lock when idle
+   Scoring lives in scoring.mjs and CSV reading/writing in csv.mjs (both also used
+   by cli/score-meet.mjs), the setup recommender's model in recommender.mjs; this
+   file is the page around them.
 */
 
+import {
+  num, round2, DEFAULT_RULESET_ID, BUILTIN_RULESETS, RUN_STATUSES, runStatus, computeScore,
+  meetRunScore, meetRowResult, TIE_BREAKS, DEFAULT_TIE_BREAKS, TIERS, computeStandings,
+  meetCSVRecord, MEET_CSV_HEADERS
+} from "./scoring.mjs";
+import { toCSV, parseCSV, parseBool } from "./csv.mjs";
+import { travelledCm, modelRuns, fitLinear, tCrit95, recommendSetup } from "./recommender.mjs";
+
 const $ = (id) => document.getElementById(id);
 
 // ---------- Storage ----------
+// Accounts, runs, practice books and meet books live in IndexedDB, one record
+// per account, run or user's book, so saving a run writes just that run. They
+// are read through an in-memory copy loaded once at startup, which keeps the
+// getters below synchronous. Session, rulesets, preferences and timers are small
+// and stay in localStorage. LS.USERS/RUNS/MEET are the old localStorage tables;
+// they are only read to migrate them, or when IndexedDB is unavailable
+// (LS.PRACTICE is only ever that fallback).
 const LS = {
   USERS: "scrambler_users_v3",
   RUNS:  "scrambler_runs_v3",
   MEET:  "scrambler_meet_v3",
-  SESSION: "scrambler_session_v3"
+  PRACTICE: "scrambler_practice_v3",
+  SESSION: "scrambler_session_v3",
+  RULESETS: "scrambler_rulesets_v3",
+  PREFS: "scrambler_prefs_v3",
+  TIMERS: "scrambler_timers_v3"
 };
+const IDB_NAME = "scrambler";
+const IDB_VERSION = 3;
+
+const store = { db: null, legacy: false, queue: Promise.resolve(), users: {}, runs: [], meets: {}, practice: {} };
+const unreadable = {};   // storage key -> raw text that could not be parsed
 
 function loadJSON(key, fallback) {
-  try { return JSON.parse(localStorage.getItem(key)) ?? fallback; }
-  catch { return fallback; }
+  const raw = localStorage.getItem(key);
+  if (raw === null) return fallback;
+  try { return JSON.parse(raw) ?? fallback; }
+  catch {
+    reportUnreadable(key, raw);
+    return fallback;
+  }
+}
+function saveJSON(key, val) {
+  try {
+    localStorage.setItem(key, JSON.stringify(val));
+    return true;
+  } catch (e) {
+    reportStorageError(e);
+    return false;
+  }
+}
+
+function showStorageBanner(text) {
+  $("storageBannerText").textContent = text;
+  $("btnStorageRaw").classList.toggle("hidden", !Object.keys(unreadable).length);
+  $("btnStorageDiscard").classList.toggle("hidden", !Object.keys(unreadable).length);
+  $("storageBanner").classList.remove("hidden");
+}
+
+function reportStorageError(e) {
+  const full = e && (e.name === "QuotaExceededError" || e.code === 22);
+  showStorageBanner(full
+    ? "Browser storage is full, so recent changes exist only in this page and are lost on reload. Export a backup (Data tab) now, then delete old runs or meets to free space."
+    : `Could not save to browser storage (${e?.message || e}). Recent changes are lost on reload; export a backup (Data tab) now.`);
+}
+
+function reportUnreadable(key, raw) {
+  if (unreadable[key] === raw) return;
+  unreadable[key] = raw;
+  showStorageBanner(`Saved data in "${key}" is unreadable and was not loaded. Download the raw copy to keep it.`);
+}
+
+function downloadUnreadable() {
+  download(`scrambler_unreadable_${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(unreadable, null, 2), "application/json");
+}
+
+function discardUnreadable() {
+  const ok = confirm("Delete the unreadable data from this browser? Download the raw copy first if you may need it.");
+  if (!ok) return;
+  for (const key of Object.keys(unreadable)) {
+    localStorage.removeItem(key);
+    delete unreadable[key];
+  }
+  $("storageBanner").classList.add("hidden");
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("users")) db.createObjectStore("users", { keyPath: "username" });
+      if (!db.objectStoreNames.contains("runs")) db.createObjectStore("runs", { keyPath: "id" }).createIndex("user", "user");
+      if (!db.objectStoreNames.contains("meets")) db.createObjectStore("meets", { keyPath: "user" });
+      if (!db.objectStoreNames.contains("keys")) db.createObjectStore("keys", { keyPath: "user" });
+      if (!db.objectStoreNames.contains("practice")) db.createObjectStore("practice", { keyPath: "user" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Runs `fn` in one read-write transaction over the named stores. Resolves to
+// whether it committed; failures (a full disk included) go to the banner.
+function idbWrite(names, fn) {
+  if (store.legacy) return Promise.resolve(saveLegacy());
+  return new Promise((resolve, reject) => {
+    if (!store.db) throw new Error("the database was closed; reload the page");
+    const tx = store.db.transaction(names, "readwrite");
+    tx.oncomplete = () => resolve(true);
+    tx.onabort = () => reject(tx.error || new Error("the write was cancelled"));
+    try { fn(tx); }
+    catch (e) {
+      tx.abort();
+      throw e;
+    }
+  }).catch((e) => {
+    reportStorageError(e);
+    return false;
+  });
+}
+
+// Without IndexedDB the old whole-table localStorage keys are the only place
+// to write. A table that failed to parse is never written over.
+function saveLegacy() {
+  let ok = true;
+  for (const [key, val] of [[LS.USERS, store.users], [LS.RUNS, store.runs], [LS.MEET, store.meets], [LS.PRACTICE, store.practice]]) {
+    if (unreadable[key] !== undefined) {
+      showStorageBanner(`Changes were not saved: "${key}" is unreadable. Download or discard it first.`);
+      ok = false;
+    } else {
+      ok = saveJSON(key, val) && ok;
+    }
+  }
+  return ok;
+}
+
+function isPlainObject(v) { return !!v && typeof v === "object" && !Array.isArray(v); }
+
+// One-time copy of the localStorage tables into IndexedDB. Each key is removed
+// once its records have committed; an unreadable one stays put for download.
+async function migrateLegacy() {
+  const steps = [
+    [LS.USERS, ["users"], isPlainObject, (tx, v) => {
+      for (const [name, u] of Object.entries(v)) tx.objectStore("users").put({ ...u, username: name });
+    }],
+    [LS.RUNS, ["runs"], Array.isArray, (tx, v) => {
+      for (const r of v) tx.objectStore("runs").put(r.id ? r : { ...r, id: uid() });
+    }],
+    [LS.MEET, ["meets"], isPlainObject, (tx, v) => {
+      for (const [name, m] of Object.entries(v)) tx.objectStore("meets").put({ ...normalizeMeetBook(m), user: name });
+    }]
+  ];
+  for (const [key, names, valid, copy] of steps) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) continue;
+    let val;
+    try { val = JSON.parse(raw); }
+    catch {
+      reportUnreadable(key, raw);
+      continue;
+    }
+    if (val !== null && !valid(val)) {
+      reportUnreadable(key, raw);
+      continue;
+    }
+    if (val === null || await idbWrite(names, tx => copy(tx, val))) localStorage.removeItem(key);
+  }
+}
+
+async function loadStore() {
+  const tx = store.db.transaction(["users", "runs", "meets", "practice"]);
+  const [users, runs, meets, practice] = await Promise.all(["users", "runs", "meets", "practice"].map(n => idbRequest(tx.objectStore(n).getAll())));
+  store.users = Object.fromEntries(users.map(({ username, ...u }) => [username, u]));
+  store.runs = runs;
+  store.meets = Object.fromEntries(meets.map(({ user, ...book }) => [user, book]));
+  store.practice = Object.fromEntries(practice.map(({ user, ...book }) => [user, book]));
+}
+
+// Never rejects: whatever goes wrong is on the banner and the app still starts.
+async function initStorage() {
+  try {
+    store.db = await openDB();
+  } catch (e) {
+    store.legacy = true;
+    store.users = loadJSON(LS.USERS, {});
+    store.runs = loadJSON(LS.RUNS, []);
+    store.meets = loadJSON(LS.MEET, {});
+    store.practice = loadJSON(LS.PRACTICE, {});
+    showStorageBanner(`This browser would not open IndexedDB (${e?.message || e}), so data is kept in localStorage, which holds only about 5 MB.`);
+    return;
+  }
+  store.db.onversionchange = () => {
+    store.db.close();
+    store.db = null;
+    showStorageBanner("The Scrambler Tool was updated in another tab. Reload this page before making more changes.");
+  };
+  try {
+    await migrateLegacy();
+    await loadStore();
+  } catch (e) {
+    showStorageBanner(`Could not read saved data (${e?.message || e}). Nothing has been deleted; try reloading the page.`);
+  }
+}
+
+function getUsers() { return { ...store.users }; }
+function putUser(name, u) {
+  store.users[name] = u;
+  return idbWrite(["users"], tx => tx.objectStore("users").put({ ...u, username: name }));
+}
+
+// The store holds runs, practice books and meet books as written to disk:
+// sealed with their owner's key ({ id?, iv, ct }) or, for data from before
+// encryption, plain. `vault` holds the logged-in user's key and decrypted
+// copies; every getter below reads from it, so other users' records are never
+// visible.
+const vault = { user: null, key: null, kept: false, runs: [], meets: undefined, practice: undefined };
+
+function isSealed(rec) { return !!rec && typeof rec.ct === "string"; }
+function storedRuns() { return store.runs.slice(); }
+function storedMeetBooks() { return { ...store.meets }; }
+function storedPracticeBooks() { return { ...store.practice }; }
+
+// Writes happen one at a time, in call order, once their records are sealed.
+function queueWrite(fn) {
+  const p = store.queue.then(fn).catch((e) => {
+    reportStorageError(e);
+    return false;
+  });
+  store.queue = p;
+  return p;
+}
+
+async function sealRun(key, r) {
+  return { id: r.id, user: r.user, ...await sealJSON(key, `run:${r.user}:${r.id}`, r) };
+}
+
+// Decrypts `user`'s records into the vault; plaintext ones are sealed on the
+// way (first login after encryption arrived). Records that fail to decrypt
+// stay as they are and are reported.
+async function unlockVault(user, key) {
+  const runs = [], plain = [];
+  let bad = 0;
+  for (const rec of store.runs.filter(r => r.user === user)) {
+    if (!isSealed(rec)) {
+      runs.push(rec);
+      plain.push(rec);
+      continue;
+    }
+    try { runs.push(await openJSON(key, `run:${user}:${rec.id}`, rec)); }
+    catch { bad++; }
+  }
+  const openBook = async (rec, aad, normalize) => {
+    if (!isSealed(rec)) return { book: rec === undefined ? undefined : normalize(rec), plain: rec !== undefined };
+    try { return { book: await openJSON(key, aad, rec), plain: false }; }
+    catch {
+      bad++;
+      return { book: undefined, plain: false };
+    }
+  };
+  const meets = await openBook(store.meets[user], `meets:${user}`, normalizeMeetBook);
+  const practice = await openBook(store.practice[user], `practice:${user}`, normalizePracticeBook);
+
+  Object.assign(vault, {
+    user, key,
+    runs: runs.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt))),
+    meets: meets.book,
+    practice: practice.book
+  });
+  if (plain.length) putRuns(plain);
+  if (meets.plain) putMeetBook(user, meets.book);
+  if (practice.plain) putPracticeBook(user, practice.book);
+  if (bad) showStorageBanner(`${bad} of ${user}'s saved record(s) could not be decrypted (damaged, or sealed with another key) and are hidden. They have not been changed.`);
+}
+
+function lockVault() {
+  Object.assign(vault, { user: null, key: null, kept: false, runs: [], meets: undefined, practice: undefined });
+}
+
+// The data key normally lives in memory only, so a reload asks for the password
+// again. Ticking "Stay unlocked" at login stores it in IndexedDB instead: that
+// survives reloads, but whoever opens this browser before the idle lock fires
+// gets the decrypted data without a password. Non-extractable only stops the
+// key being read out; it can still decrypt. Keys stored before this was an
+// opt-in (no `kept` mark) are never used.
+function saveSessionKey(user, key) {
+  return idbWrite(["keys"], tx => tx.objectStore("keys").put({ user, key, kept: true }));
+}
+async function loadSessionKey(user) {
+  if (!store.db) return null;
+  const rec = await idbRequest(store.db.transaction("keys").objectStore("keys").get(user));
+  return rec?.kept ? rec.key : null;
+}
+function forgetSessionKey(user) {
+  return idbWrite(["keys"], tx => tx.objectStore("keys").delete(user));
+}
+function forgetSessionKeys() {
+  return idbWrite(["keys"], tx => tx.objectStore("keys").clear());
+}
+
+function getRuns() { return vault.runs.slice(); }
+// Inserts or replaces the vault user's runs by id.
+function putRuns(runs) {
+  const byId = new Map(runs.map(r => [r.id, r]));
+  vault.runs = vault.runs.map(r => byId.get(r.id) || r);
+  for (const r of vault.runs) byId.delete(r.id);
+  vault.runs.push(...byId.values());
+  const key = vault.key;
+  return queueWrite(async () => putStoredRuns(await Promise.all(runs.map(r => sealRun(key, r)))));
+}
+function deleteRuns(ids) {
+  const gone = new Set(ids);
+  vault.runs = vault.runs.filter(r => !gone.has(r.id));
+  return queueWrite(() => {
+    store.runs = store.runs.filter(r => !gone.has(r.id));
+    return idbWrite(["runs"], tx => ids.forEach(id => tx.objectStore("runs").delete(id)));
+  });
+}
+// Records exactly as stored (device backups).
+function putStoredRuns(recs) {
+  const byId = new Map(recs.map(r => [r.id, r]));
+  store.runs = store.runs.map(r => byId.get(r.id) || r);
+  for (const r of store.runs) byId.delete(r.id);
+  store.runs.push(...byId.values());
+  return idbWrite(["runs"], tx => recs.forEach(r => tx.objectStore("runs").put(r)));
+}
+
+// Copies in and out, so an edit that is never saved cannot leak into the vault.
+function getStoredMeetBook(user) {
+  return user !== vault.user || vault.meets === undefined ? undefined : structuredClone(vault.meets);
+}
+function putMeetBook(user, book) {
+  if (user !== vault.user) throw new Error(`${user}'s meets are locked.`);
+  const saved = vault.meets = structuredClone(book);
+  const key = vault.key;
+  return queueWrite(async () => putStoredMeetBook(user, await sealJSON(key, `meets:${user}`, saved)));
+}
+function putStoredMeetBook(user, rec) {
+  store.meets[user] = rec;
+  return idbWrite(["meets"], tx => tx.objectStore("meets").put({ ...rec, user }));
+}
+function deleteMeetBook(user) {
+  if (user === vault.user) vault.meets = undefined;
+  return queueWrite(() => {
+    delete store.meets[user];
+    return idbWrite(["meets"], tx => tx.objectStore("meets").delete(user));
+  });
+}
+
+// Same rules as the meet book: a copy in, a copy out, only for the vault user.
+function getStoredPracticeBook(user) {
+  return user !== vault.user || vault.practice === undefined ? undefined : structuredClone(vault.practice);
+}
+function putPracticeBook(user, book) {
+  if (user !== vault.user) throw new Error(`${user}'s practice sessions are locked.`);
+  const saved = vault.practice = structuredClone(book);
+  const key = vault.key;
+  return queueWrite(async () => putStoredPracticeBook(user, await sealJSON(key, `practice:${user}`, saved)));
+}
+function putStoredPracticeBook(user, rec) {
+  store.practice[user] = rec;
+  return idbWrite(["practice"], tx => tx.objectStore("practice").put({ ...rec, user }));
+}
+function deletePracticeBook(user) {
+  if (user === vault.user) vault.practice = undefined;
+  return queueWrite(() => {
+    delete store.practice[user];
+    return idbWrite(["practice"], tx => tx.objectStore("practice").delete(user));
+  });
+}
+
+// Swaps every account, run, practice book and meet book at once (device backup
+// restore). Records go in as they are in the backup; the vault must be unlocked
+// again.
+function replaceAllData(users, runs, meets, practice) {
+  lockVault();
+  return queueWrite(() => {
+    store.users = { ...users };
+    store.runs = runs.slice();
+    store.meets = { ...meets };
+    store.practice = { ...practice };
+    return idbWrite(["users", "runs", "meets", "practice", "keys"], (tx) => {
+      for (const n of ["users", "runs", "meets", "practice", "keys"]) tx.objectStore(n).clear();
+      for (const [name, u] of Object.entries(users)) tx.objectStore("users").put({ ...u, username: name });
+      for (const r of runs) tx.objectStore("runs").put(r);
+      for (const [name, book] of Object.entries(meets)) tx.objectStore("meets").put({ ...book, user: name });
+      for (const [name, book] of Object.entries(practice)) tx.objectStore("practice").put({ ...book, user: name });
+    });
+  });
+}
+
+// Re-seals the vault under `key` and/or a new account name and writes it with
+// the account record in one transaction, so a crash leaves either the old
+// account or the new one. Records that would not decrypt move along as they are.
+function rewriteVault(toUser, userRec, key) {
+  const from = vault.user;
+  const runs = vault.runs.map(r => ({ ...r, user: toUser }));
+  const book = vault.meets;
+  const practice = vault.practice;
+  const kept = vault.kept;
+  Object.assign(vault, { user: toUser, key, runs });
+
+  return queueWrite(async () => {
+    const open = new Set(runs.map(r => r.id));
+    const oldIds = store.runs.filter(r => r.user === from).map(r => r.id);
+    const hidden = store.runs.filter(r => r.user === from && !open.has(r.id)).map(r => ({ ...r, user: toUser }));
+    const sealed = [...await Promise.all(runs.map(r => sealRun(key, r))), ...hidden];
+    const sealedBook = book === undefined ? store.meets[from] : await sealJSON(key, `meets:${toUser}`, book);
+    const sealedPractice = practice === undefined ? store.practice[from] : await sealJSON(key, `practice:${toUser}`, practice);
+
+    store.runs = [...store.runs.filter(r => r.user !== from), ...sealed];
+    delete store.users[from];
+    store.users[toUser] = userRec;
+    delete store.meets[from];
+    if (sealedBook) store.meets[toUser] = sealedBook;
+    delete store.practice[from];
+    if (sealedPractice) store.practice[toUser] = sealedPractice;
+
+    return idbWrite(["users", "runs", "meets", "practice", "keys"], (tx) => {
+      tx.objectStore("users").delete(from);
+      tx.objectStore("users").put({ ...userRec, username: toUser });
+      oldIds.forEach(id => tx.objectStore("runs").delete(id));
+      sealed.forEach(r => tx.objectStore("runs").put(r));
+      tx.objectStore("meets").delete(from);
+      if (sealedBook) tx.objectStore("meets").put({ ...sealedBook, user: toUser });
+      tx.objectStore("practice").delete(from);
+      if (sealedPractice) tx.objectStore("practice").put({ ...sealedPractice, user: toUser });
+      tx.objectStore("keys").delete(from);
+      if (kept) tx.objectStore("keys").put({ user: toUser, key, kept });
+    });
+  });
+}
+
+// Deletes `user`'s account with its runs, books and session key. With
+// `newRec` the account stays under that record instead (forgotten password),
+// and the records sealed with the old password are set aside in it, still
+// sealed, next to the old login hash (recoverSetAside).
+function removeUserData(user, newRec = null) {
+  if (user === vault.user) lockVault();
+  return queueWrite(() => {
+    const ids = store.runs.filter(r => r.user === user).map(r => r.id);
+    if (newRec) newRec = withSetAside(user, store.users[user], newRec);
+    store.runs = store.runs.filter(r => r.user !== user);
+    delete store.meets[user];
+    delete store.practice[user];
+    if (newRec) store.users[user] = newRec;
+    else delete store.users[user];
+
+    return idbWrite(["users", "runs", "meets", "practice", "keys"], (tx) => {
+      if (newRec) tx.objectStore("users").put({ ...newRec, username: user });
+      else tx.objectStore("users").delete(user);
+      ids.forEach(id => tx.objectStore("runs").delete(id));
+      tx.objectStore("meets").delete(user);
+      tx.objectStore("practice").delete(user);
+      tx.objectStore("keys").delete(user);
+    });
+  });
 }
-function saveJSON(key, val) { localStorage.setItem(key, JSON.stringify(val)); }
 
-function getUsers() { return loadJSON(LS.USERS, {}); }
-function setUsers(u) { saveJSON(LS.USERS, u); }
+function withSetAside(user, old, newRec) {
+  const setAside = old.setAside || [];
+  const entry = {
+    at: new Date().toISOString(),
+    user,
+    saltB64: old.saltB64,
+    hashB64: old.hashB64,
+    encSaltB64: old.encSaltB64,
+    runs: store.runs.filter(r => r.user === user),
+    meets: store.meets[user],
+    practice: store.practice[user]
+  };
+  const empty = !entry.runs.length && entry.meets === undefined && entry.practice === undefined;
+  return { ...newRec, setAside: empty ? setAside : [...setAside, entry] };
+}
 
-function getRuns() { return loadJSON(LS.RUNS, []); }
-function setRuns(r) { saveJSON(LS.RUNS, r); }
+function getCustomRulesetsAll() { return loadJSON(LS.RULESETS, {}); }
+function setCustomRulesetsAll(x) { saveJSON(LS.RULESETS, x); }
 
-function getMeetAll() { return loadJSON(LS.MEET, {}); }
-function setMeetAll(x) { saveJSON(LS.MEET, x); }
+function getPrefs(user) { return loadJSON(LS.PREFS, {})[user] || {}; }
+function setPrefs(user, patch) {
+  const all = loadJSON(LS.PREFS, {});
+  all[user] = { ...(all[user] || {}), ...patch };
+  saveJSON(LS.PREFS, all);
+}
 
 function getSession() { return loadJSON(LS.SESSION, null); }
-function setSession(user) { saveJSON(LS.SESSION, { user }); }
+function setSession(user) { saveJSON(LS.SESSION, { user, lastActiveAt: Date.now() }); }
 function clearSession() { localStorage.removeItem(LS.SESSION); }
 
 function uid() { return Math.random().toString(16).slice(2) + "-" + Date.now().toString(16); }
@@ -41,13 +517,7 @@ function showMsg(el, text, err=false) {
   el.style.color = err ? "var(--danger)" : "var(--accent)";
 }
 
-function num(v) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : 0;
-}
-function round2(x) { return Math.round(x * 100) / 100; }
-
-// ---------- Crypto (PBKDF2) ----------
+// ---------- Crypto (PBKDF2, AES-GCM) ----------
 function bytesToB64(bytes) {
   let s = "";
   bytes.forEach(b => s += String.fromCharCode(b));
@@ -77,17 +547,46 @@ async function pbkdf2Hash(password, saltBytes) {
   return new Uint8Array(bits);
 }
 
-async function createUser(username, password) {
-  const users = getUsers();
-  if (users[username]) throw new Error("That username already exists.");
+// A fresh login hash and data-key salt for `password`.
+async function newUserRecord(password, createdAt = new Date().toISOString()) {
   const salt = crypto.getRandomValues(new Uint8Array(16));
   const hash = await pbkdf2Hash(password, salt);
-  users[username] = {
+  return {
     saltB64: bytesToB64(salt),
     hashB64: bytesToB64(hash),
-    createdAt: new Date().toISOString()
+    encSaltB64: bytesToB64(crypto.getRandomValues(new Uint8Array(16))),
+    createdAt
   };
-  setUsers(users);
+}
+
+// Resolves to the account's reset code, which is shown once and never stored.
+async function createUser(username, password) {
+  if (getUsers()[username]) throw new Error("That username already exists.");
+  const code = newResetCode();
+  const ok = await putUser(username, { ...await newUserRecord(password), ...await resetCodeRecord(code) });
+  if (!ok) throw new Error("Could not save the new account.");
+  return code;
+}
+
+// A reset code is what proves ownership for a forgotten-password reset. Only
+// its hash is stored; the code is shown once (sign-up, reset, Account tab).
+const RESET_CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+function newResetCode() {
+  const chars = [...crypto.getRandomValues(new Uint8Array(16))].map(b => RESET_CODE_CHARS[b % RESET_CODE_CHARS.length]);
+  return chars.join("").match(/.{4}/g).join("-");
+}
+
+function normalizeResetCode(code) { return String(code).toUpperCase().replace(/[^A-Z0-9]/g, ""); }
+
+async function resetCodeRecord(code) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return { resetSaltB64: bytesToB64(salt), resetHashB64: bytesToB64(await pbkdf2Hash(normalizeResetCode(code), salt)) };
+}
+
+async function verifyResetCode(u, code) {
+  if (!u.resetHashB64) return false;
+  return bytesToB64(await pbkdf2Hash(normalizeResetCode(code), b64ToBytes(u.resetSaltB64))) === u.resetHashB64;
 }
 
 async function verifyUser(username, password) {
@@ -99,142 +598,487 @@ async function verifyUser(username, password) {
   return bytesToB64(hash) === u.hashB64;
 }
 
+// The key that encrypts a user's runs, sessions and meets. It has its own salt: derived
+// with the login salt it would be the very hash stored in the user record.
+async function deriveDataKey(password, saltBytes) {
+  const keyMaterial = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    { name: "PBKDF2" },
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt: saltBytes, iterations: 150000, hash: "SHA-256" },
+    keyMaterial,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// Accounts from before encryption get their data-key salt on first login.
+async function userDataKey(username, password) {
+  let u = getUsers()[username];
+  if (!u.encSaltB64) {
+    u = { ...u, encSaltB64: bytesToB64(crypto.getRandomValues(new Uint8Array(16))) };
+    if (!await putUser(username, u)) throw new Error("Could not save the account.");
+  }
+  return deriveDataKey(password, b64ToBytes(u.encSaltB64));
+}
+
+// `aad` names the record (owner and id), so a sealed record copied over
+// another one fails to open instead of passing as that record.
+async function sealJSON(key, aad, value) {
+  const enc = new TextEncoder();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: enc.encode(aad) }, key, enc.encode(JSON.stringify(value)));
+  return { iv: bytesToB64(iv), ct: bytesToB64(new Uint8Array(ct)) };
+}
+async function openJSON(key, aad, rec) {
+  const pt = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: b64ToBytes(rec.iv), additionalData: new TextEncoder().encode(aad) },
+    key,
+    b64ToBytes(rec.ct)
+  );
+  return JSON.parse(new TextDecoder().decode(pt));
+}
+
 // ---------- App State ----------
 let currentUser = null;
 let chart = null;
 
 // ---------- Tabs ----------
 function setTab(name) {
-  const p = $("practiceTab");
-  const m = $("meetTab");
-  const bp = $("tabPractice");
-  const bm = $("tabMeet");
+  const tabs = {
+    practice: [$("practiceTab"), $("tabPractice")],
+    meet: [$("meetTab"), $("tabMeet")],
+    rules: [$("rulesTab"), $("tabRules")],
+    data: [$("dataTab"), $("tabData")],
+    account: [$("accountTab"), $("tabAccount")]
+  };
+  for (const [k, [panel, btn]] of Object.entries(tabs)) {
+    panel.classList.toggle("hidden", k !== name);
+    btn.classList.toggle("active", k === name);
+  }
 
   if (name === "meet") {
-    p.classList.add("hidden");
-    m.classList.remove("hidden");
-    bp.classList.remove("active");
-    bm.classList.add("active");
     renderMeet();
+  } else if (name === "rules") {
+    renderRulesets();
+  } else if (name === "data") {
+    showMsg($("backupMsg"), "");
+    renderTrash();
+  } else if (name === "account") {
+    renderAccount();
   } else {
-    m.classList.add("hidden");
-    p.classList.remove("hidden");
-    bm.classList.remove("active");
-    bp.classList.add("active");
     renderRunsTable();
     renderChart();
     renderPracticeSummary();
   }
 }
 
-// ---------- Time averaging ----------
-function avgOfTimes(t1, t2, t3) {
-  const arr = [t1, t2, t3]
-    .map(Number)
-    .filter(v => Number.isFinite(v) && v >= 0);
-  if (!arr.length) return 0;
-  return arr.reduce((a,b)=>a+b,0) / arr.length;
+// ---------- Rulesets ----------
+// The built-in rulesets are in scoring.mjs; custom ones are stored per user.
+function getCustomRulesets(user) { return getCustomRulesetsAll()[user] || []; }
+function setCustomRulesets(user, list) {
+  const all = getCustomRulesetsAll();
+  all[user] = list;
+  setCustomRulesetsAll(all);
+}
+
+function listRulesets() {
+  return [...BUILTIN_RULESETS, ...(currentUser ? getCustomRulesets(currentUser) : [])];
+}
+
+// Unknown/deleted ids fall back to the default so old data still renders.
+function getRuleset(id) {
+  return listRulesets().find(r => r.id === (id || DEFAULT_RULESET_ID)) || BUILTIN_RULESETS[0];
+}
+
+function rulesetInUse(id) {
+  if (getUserRuns(currentUser).some(r => r.rulesetId === id)) return true;
+  return getMeetBook(currentUser).meets.some(m => m.rulesetId === id);
+}
+
+function fmtSigned(n) { return n < 0 ? `−${Math.abs(n)}` : `+${n}`; }
+
+function fillRulesetSelect(sel, selectedId) {
+  sel.innerHTML = "";
+  for (const r of listRulesets()) {
+    const o = document.createElement("option");
+    o.value = r.id;
+    o.textContent = r.name + (r.builtIn ? "" : " (custom)");
+    sel.appendChild(o);
+  }
+  sel.value = getRuleset(selectedId).id;
+}
+
+function practiceRuleset() { return getRuleset($("practiceRuleset").value); }
+
+// ---------- Scoring ----------
+function describeScore(sc, rules) {
+  const b = sc.breakdown;
+  const parts = b.fixed
+    ? [`failed run ${rules.failedRun.score}`]
+    : [
+        String(b.base),
+        `(${rules.distanceFactor}×${b.distCm}=${b.distanceScore})`,
+        rules.timeFactor === 1 ? String(b.timeAvg) : `(${rules.timeFactor}×${b.timeAvg}=${b.timeScore})`
+      ];
+  if (rules.bucketBonus != null) parts.push(`(${b.bucket})`);
+  if (rules.competitionViolation != null || rules.constructionViolation != null) parts.push(`penalties(${b.penalties})`);
+  return `${rules.name} • Avg time used: ${sc.timeAvg.toFixed(2)}s • ${parts.join(" + ")}`
+    + (b.failed ? " [FAILED]" : "");
 }
 
-// ---------- Scoring (2026 Div B) ----------
-function computeScore(inp) {
-  const base = 100;
+// ---------- Timers ----------
+// Timer state is saved as wall-clock timestamps on every change, so a reload, a
+// background tab or a sleeping phone resumes with the right time left:
+//   { durationMs, startedAt (epoch ms while running, else null), elapsedMs (banked
+//     before startedAt), fired (alert thresholds already signalled, in seconds) }
+// Settings (duration, alert thresholds, sound, per-team clocks) are per user prefs.
+const DEFAULT_TIMER_CONFIG = { durationS: 8 * 60, alertsS: [120, 30, 0], sound: true, perTeam: false };
+
+function getTimerConfig(prefix) {
+  const saved = currentUser ? getPrefs(currentUser).timers?.[prefix] : null;
+  return { ...DEFAULT_TIMER_CONFIG, ...(saved || {}) };
+}
+function setTimerConfig(prefix, patch) {
+  const timers = getPrefs(currentUser).timers || {};
+  setPrefs(currentUser, { timers: { ...timers, [prefix]: { ...getTimerConfig(prefix), ...patch } } });
+}
 
-  const failed = !!inp.failedRun;
-  const distCm = failed ? 2500 : num(inp.vehicleDistanceCm);
+function freshTimerState(prefix) {
+  return { durationMs: getTimerConfig(prefix).durationS * 1000, startedAt: null, elapsedMs: 0, fired: [] };
+}
+function loadTimerState(key, prefix) { return loadJSON(LS.TIMERS, {})[key] || freshTimerState(prefix); }
+function saveTimerState(key, st) {
+  const all = loadJSON(LS.TIMERS, {});
+  all[key] = st;
+  saveJSON(LS.TIMERS, all);
+}
+function timerLeftMs(st, now = Date.now()) {
+  return Math.max(0, st.durationMs - st.elapsedMs - (st.startedAt ? now - st.startedAt : 0));
+}
 
-  const timeAvg = failed ? 0 : avgOfTimes(inp.time1, inp.time2, inp.time3);
+function fmtMMSS(ms) {
+  const totalSec = Math.max(0, Math.ceil(ms / 1000));
+  const m = Math.floor(totalSec / 60);
+  const s = totalSec % 60;
+  return `${String(m).padStart(2,"0")}:${String(s).padStart(2,"0")}`;
+}
 
-  const distanceScore = 2.0 * distCm;
-  const timeScore = timeAvg;
+// "m:ss" or plain seconds; null when unreadable.
+function parseClock(text) {
+  const t = String(text).trim();
+  const m = /^(\d+):([0-5]?\d)$/.exec(t);
+  if (m) return Number(m[1]) * 60 + Number(m[2]);
+  return /^\d+$/.test(t) ? Number(t) : null;
+}
 
-  const bucket = inp.bucketBonus ? -100 : 0;
-  const cv = inp.competitionViolationPoints ? 150 : 0;
-  const conv = inp.constructionViolationPoints ? 300 : 0;
+let audioCtx = null;
 
-  const total = base + distanceScore + timeScore + bucket + cv + conv;
+// Browsers only allow sound after a user gesture, so Start/Resume unlock it.
+function unlockAudio() {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!audioCtx && Ctx) audioCtx = new Ctx();
+  if (audioCtx && audioCtx.state === "suspended") audioCtx.resume();
+}
 
-  return {
-    total: round2(total),
-    timeAvg: round2(timeAvg),
-    breakdown: {
-      distCm: round2(distCm),
-      distanceScore: round2(distanceScore),
-      timeAvg: round2(timeAvg),
-      bucket,
-      penalties: cv + conv,
-      failed
+function beep(count) {
+  if (!audioCtx) return;
+  const t0 = audioCtx.currentTime;
+  for (let i = 0; i < count; i++) {
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    osc.frequency.value = 880;
+    gain.gain.value = 0.2;
+    osc.connect(gain).connect(audioCtx.destination);
+    osc.start(t0 + i * 0.3);
+    osc.stop(t0 + i * 0.3 + 0.18);
+  }
+}
+
+// els: { display, state, card } elements; keyFn gives the storage key so one
+// view can follow whoever is logged in.
+function createTimer(prefix, keyFn, els) {
+  const load = () => loadTimerState(keyFn(), prefix);
+  const save = (st) => saveTimerState(keyFn(), st);
+  const isRunning = (st) => st.startedAt !== null;
+
+  function updateUI(st = load()) {
+    const left = timerLeftMs(st);
+    els.display.textContent = fmtMMSS(left);
+    if (els.alertText && Date.now() < els.alertUntil) els.state.textContent = els.alertText;
+    else if (isRunning(st)) els.state.textContent = "Running";
+    else if (left === 0) els.state.textContent = "Time!";
+    else els.state.textContent = st.elapsedMs > 0 ? "Paused" : "Ready";
+  }
+
+  function alertAt(secs) {
+    if (getTimerConfig(prefix).sound) beep(secs === 0 ? 3 : 1);
+    els.alertText = secs === 0 ? "Time!" : `${fmtMMSS(secs * 1000)} left!`;
+    els.alertUntil = Date.now() + 4000;
+    if (els.card) {
+      els.card.classList.remove("flash");
+      void els.card.offsetWidth;
+      els.card.classList.add("flash");
     }
-  };
+  }
+
+  // Thresholds passed while the page was closed are marked done; only the most
+  // urgent one is signalled, once.
+  function tick() {
+    const st = load();
+    const left = timerLeftMs(st);
+    let changed = false;
+
+    if (isRunning(st) && left === 0) {
+      st.elapsedMs = st.durationMs;
+      st.startedAt = null;
+      changed = true;
+    }
+    if (isRunning(st) || st.elapsedMs > 0) {
+      const crossed = getTimerConfig(prefix).alertsS
+        .filter(a => a * 1000 < st.durationMs && !st.fired.includes(a) && left <= a * 1000);
+      if (crossed.length) {
+        st.fired.push(...crossed);
+        changed = true;
+        alertAt(Math.min(...crossed));
+      }
+    }
+    if (changed) save(st);
+    updateUI(st);
+  }
+
+  function start() {
+    unlockAudio();
+    let st = load();
+    if (isRunning(st)) return;
+    if (timerLeftMs(st) === 0) st = freshTimerState(prefix);
+    st.startedAt = Date.now();
+    save(st);
+    updateUI(st);
+  }
+
+  function pause() {
+    const st = load();
+    if (!isRunning(st)) return;
+    st.elapsedMs += Date.now() - st.startedAt;
+    st.startedAt = null;
+    save(st);
+    updateUI(st);
+  }
+
+  function resume() {
+    const st = load();
+    if (!isRunning(st) && timerLeftMs(st) > 0) start();
+  }
+
+  function restart() {
+    const st = freshTimerState(prefix);
+    els.alertUntil = 0;
+    save(st);
+    updateUI(st);
+  }
+
+  // A new duration applies right away only to a clock that has not started.
+  function applyConfig() {
+    const st = load();
+    if (!isRunning(st) && st.elapsedMs === 0) save(freshTimerState(prefix));
+    updateUI();
+  }
+
+  return { start, pause, resume, restart, tick, applyConfig, updateUI: () => updateUI() };
+}
+
+function timerKey(id) { return `${currentUser}:${id}`; }
+
+// Per-team Meet clocks are rebuilt with the meet table.
+let teamTimers = [];
+
+function renderTeamClocks(meet) {
+  const wrap = $("mTeamClocks");
+  wrap.innerHTML = "";
+  teamTimers = [];
+  if (!getTimerConfig("m").perTeam) return;
+
+  for (const row of meet.rows) {
+    const line = document.createElement("div");
+    line.className = "teamClock";
+
+    const name = document.createElement("span");
+    name.textContent = teamLabel(row);
+    const display = document.createElement("span");
+    display.className = "teamClockDisplay";
+    const state = document.createElement("span");
+    state.className = "muted small";
+
+    const t = createTimer("m", () => timerKey(`m:${meet.id}:${row.id}`), { display, state, card: line });
+    teamTimers.push(t);
+
+    line.append(name, display, state);
+    for (const [label, fn, cls] of [["Start", t.start, ""], ["Pause", t.pause, "secondary"], ["Resume", t.resume, "secondary"], ["Reset", t.restart, "danger"]]) {
+      const b = document.createElement("button");
+      b.textContent = label;
+      if (cls) b.className = cls;
+      b.addEventListener("click", fn);
+      line.appendChild(b);
+    }
+    wrap.appendChild(line);
+    t.updateUI();
+  }
+}
+
+function tickTimers() {
+  if (!currentUser) return;
+  pTimer.tick();
+  mTimer.tick();
+  teamTimers.forEach(t => t.tick());
+}
+
+function renderTimerSettings(prefix) {
+  const cfg = getTimerConfig(prefix);
+  $(`${prefix}TimerDuration`).value = fmtMMSS(cfg.durationS * 1000);
+  $(`${prefix}TimerAlerts`).value = cfg.alertsS.map(a => fmtMMSS(a * 1000)).join(", ");
+  $(`${prefix}TimerSound`).checked = cfg.sound;
+  if (prefix === "m") $("mTimerPerTeam").checked = cfg.perTeam;
+  $(`${prefix}TimerTitle`).textContent = `${fmtMMSS(cfg.durationS * 1000)} Event Timer`;
+}
+
+function saveTimerSettings(prefix) {
+  const timer = prefix === "p" ? pTimer : mTimer;
+  const durationS = parseClock($(`${prefix}TimerDuration`).value);
+  const alerts = $(`${prefix}TimerAlerts`).value.split(/[,\s]+/).filter(Boolean).map(parseClock);
+  const msgEl = $(`${prefix}TimerMsg`);
+
+  if (!durationS) return showMsg(msgEl, "Duration must look like 8:00.", true);
+  if (alerts.some(a => a === null)) return showMsg(msgEl, "Alerts must look like 2:00, 0:30, 0:00.", true);
+
+  setTimerConfig(prefix, {
+    durationS,
+    alertsS: [...new Set(alerts)].sort((a, b) => b - a),
+    sound: $(`${prefix}TimerSound`).checked,
+    ...(prefix === "m" ? { perTeam: $("mTimerPerTeam").checked } : {})
+  });
+  timer.applyConfig();
+  renderTimerSettings(prefix);
+  if (prefix === "m") renderTeamClocks(getMeet(currentUser));
+  showMsg(msgEl, "Timer settings saved. A new duration applies on Restart.");
 }
 
-// ---------- Timers (two independent timers) ----------
-function createTimer(prefix) {
-  // prefix: "p" or "m"
-  let msLeft = 8 * 60 * 1000;
+let pTimer, mTimer;
+
+// ---------- Run stopwatch (three timekeepers) ----------
+// One start for everyone; each timekeeper stops their own reading with a button
+// or key 1/2/3 (S starts). Each reading is handed to onReading(index, seconds)
+// the moment it is taken.
+function createStopwatch(prefix, onReading) {
+  let startedAt = null;
+  let laps = [null, null, null];
   let interval = null;
-  let running = false;
 
-  function fmtMMSS(ms) {
-    const totalSec = Math.max(0, Math.ceil(ms / 1000));
-    const m = Math.floor(totalSec / 60);
-    const s = totalSec % 60;
-    return `${String(m).padStart(2,"0")}:${String(s).padStart(2,"0")}`;
-  }
+  const running = () => startedAt !== null && laps.some(l => l === null);
+  const fmt = (ms) => (ms / 1000).toFixed(2);
 
   function updateUI() {
-    $(`${prefix}TimerDisplay`).textContent = fmtMMSS(msLeft);
-    $(`${prefix}TimerState`).textContent = running ? "Running" : "Paused/Ready";
+    const now = performance.now();
+    const elapsed = startedAt === null ? 0 : now - startedAt;
+    $(`${prefix}SwDisplay`).textContent = fmt(running() ? elapsed : Math.max(0, ...laps.map(l => l ?? 0)));
+    laps.forEach((l, i) => {
+      $(`${prefix}SwT${i + 1}`).textContent = l === null ? (running() ? "…" : "—") : fmt(l);
+      $(`${prefix}SwStop${i + 1}`).disabled = !running() || l !== null;
+    });
+    $(`${prefix}SwStart`).disabled = running();
   }
 
-  function stop() {
-    running = false;
-    if (interval) clearInterval(interval);
-    interval = null;
+  function start() {
+    if (running()) return;
+    startedAt = performance.now();
+    laps = [null, null, null];
+    if (!interval) interval = setInterval(updateUI, 50);
     updateUI();
   }
 
-  function start() {
-    if (running) return;
-    running = true;
-    let last = performance.now();
-    interval = setInterval(() => {
-      const now = performance.now();
-      const dt = now - last;
-      last = now;
-      msLeft -= dt;
-      if (msLeft <= 0) {
-        msLeft = 0;
-        stop();
-        $(`${prefix}TimerState`).textContent = "Time!";
-      }
-      updateUI();
-    }, 100);
+  function stop(i) {
+    if (!running() || laps[i] !== null) return;
+    laps[i] = performance.now() - startedAt;
+    onReading(i, round2(laps[i] / 1000));
+    if (!running()) {
+      clearInterval(interval);
+      interval = null;
+    }
     updateUI();
   }
 
-  function pause() { if (running) stop(); }
-  function resume() { if (!running && msLeft > 0) start(); }
-  function restart() {
-    stop();
-    msLeft = 8 * 60 * 1000;
-    $(`${prefix}TimerState`).textContent = "Ready";
+  function reset() {
+    clearInterval(interval);
+    interval = null;
+    startedAt = null;
+    laps = [null, null, null];
     updateUI();
   }
 
+  function onKey(e) {
+    const t = e.target;
+    if (t && (t.isContentEditable || ["INPUT", "SELECT", "TEXTAREA"].includes(t.tagName))) return;
+    if (e.key === "s" || e.key === "S") { start(); e.preventDefault(); }
+    else if (["1", "2", "3"].includes(e.key)) { stop(Number(e.key) - 1); e.preventDefault(); }
+  }
+
   updateUI();
-  return { start, pause, resume, restart, updateUI };
+  return { start, stop, reset, onKey };
 }
 
-let pTimer, mTimer;
+let pStopwatch, mStopwatch;
+
+function fillPracticeTime(i, secs) {
+  $(`runTimeS${i + 1}`).value = secs;
+  updateScorePreview();
+}
+
+// The Meet stopwatch writes into the team and run picked above its buttons.
+function fillMeetTime(i, secs) {
+  const rowId = $("mSwTeam").value;
+  const runKey = $("mSwRun").value;
+  if (meetReadOnly()) return showMsg($("meetMsg"), "This meet is archived; unlock it to record times.", true);
+  const rows = getMeetRows(currentUser);
+  const row = rows.find(r => r.id === rowId);
+  if (!row) return showMsg($("meetMsg"), `Timekeeper ${i + 1}: ${secs}s — pick a team to record it.`, true);
+  row[runKey][`time${i + 1}`] = String(secs);
+  setMeetRows(currentUser, rows);
+  renderMeet();
+  showMsg($("meetMsg"), `${teamLabel(row)} ${runKey === "run1" ? "Run 1" : "Run 2"} t${i + 1} = ${secs}s`);
+}
+
+function renderStopwatchTargets(rows) {
+  const sel = $("mSwTeam");
+  const prev = sel.value;
+  sel.innerHTML = "";
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = "(pick team)";
+  sel.appendChild(none);
+  for (const r of rows) {
+    const o = document.createElement("option");
+    o.value = r.id;
+    o.textContent = teamLabel(r);
+    sel.appendChild(o);
+  }
+  sel.value = rows.some(r => r.id === prev) ? prev : "";
+}
 
 // ---------- Practice: runs ----------
-function getUserRuns(user) { return getRuns().filter(r => r.user === user); }
+// Runs in the trash keep their record, marked with `deletedAt`, until emptied.
+function getUserRuns(user) { return getRuns().filter(r => r.user === user && !r.deletedAt); }
+function getTrashedRuns(user) { return getRuns().filter(r => r.user === user && r.deletedAt); }
 
 function readPracticeForm() {
   return {
     targetDistanceM: num($("targetDistanceM").value),
-    vehicleDistanceCm: num($("vehicleDistanceCm").value),
+    vehicleDistanceCm: $("vehicleDistanceCm").value.trim() === "" ? "" : num($("vehicleDistanceCm").value),
+    distanceSide: $("distanceSide").value,
 
     time1: $("runTimeS1").value,
     time2: $("runTimeS2").value,
@@ -247,35 +1091,78 @@ function readPracticeForm() {
     bucketBonus: $("bucketBonus").checked,
     failedRun: $("failedRun").checked,
 
-    competitionViolationPoints: $("competitionViolation").value === "150",
-    constructionViolationPoints: $("constructionViolation").value === "300",
+    competitionViolationPoints: $("competitionViolation").value === "1",
+    constructionViolationPoints: $("constructionViolation").value === "1",
 
     notes: $("notes").value.trim()
   };
 }
 
+// Labels in the Run Recorder quote the active ruleset's constants.
+function applyPracticeRulesetLabels() {
+  const rules = practiceRuleset();
+  const fr = rules.failedRun;
+
+  $("bucketRow").classList.toggle("hidden", rules.bucketBonus == null);
+  if (rules.bucketBonus != null) $("bucketLabel").textContent = `Bucket Bonus earned (${fmtSigned(rules.bucketBonus)})`;
+
+  $("failedLabel").textContent = fr.mode === "fixed"
+    ? `Failed Run (score=${fr.score})`
+    : `Failed Run (distance=${fr.distanceCm}, time=${fr.timeS})`;
+
+  $("cvWrap").classList.toggle("hidden", rules.competitionViolation == null);
+  if (rules.competitionViolation != null) $("cvLabel").textContent = `Competition Violation (${fmtSigned(rules.competitionViolation)} if any)`;
+  $("convWrap").classList.toggle("hidden", rules.constructionViolation == null);
+  if (rules.constructionViolation != null) $("convLabel").textContent = `Construction Violation (${fmtSigned(rules.constructionViolation)} if any)`;
+}
+
 function updateScorePreview() {
   const inp = readPracticeForm();
-  const sc = computeScore(inp);
+  const rules = practiceRuleset();
+  const sc = computeScore(inp, rules);
   $("scoreOut").textContent = sc.total.toFixed(2);
-  $("scoreBreakdown").textContent =
-    `Avg time used: ${sc.timeAvg.toFixed(2)}s • 100 + (2.0×${sc.breakdown.distCm}=${sc.breakdown.distanceScore}) + ${sc.breakdown.timeAvg} + (${sc.breakdown.bucket}) + penalties(${sc.breakdown.penalties})`
-    + (sc.breakdown.failed ? " [FAILED]" : "");
+  $("scoreBreakdown").textContent = describeScore(sc, rules);
 }
 
 function saveRun() {
   if (!currentUser) return;
+  if (editingRunId) return saveRunEdit();
 
   const inp = readPracticeForm();
-  const sc = computeScore(inp);
+  const rules = practiceRuleset();
 
+  const session = activeSession();
   const run = {
     id: uid(),
     user: currentUser,
     createdAt: new Date().toISOString(),
+    ...scoredRunFields(inp, rules),
+    ...sessionRunFields(session),
+    ...buildRunFields($("practiceBuild").value)
+  };
+
+  putRuns([run]);
+  recordRunsChange("Save run", [], [run]);
+
+  showMsg($("runMsg"), `Saved${session ? ` to "${session.name}"` : ""}. Score: ${run.score.toFixed(2)} (avg time ${run.timeAvg.toFixed(2)}s)`);
+  renderSessions();
+  renderVehicles();
+  renderRunsTable();
+  renderChart();
+  renderPracticeSummary();
+}
+
+// The stored fields of a practice run, scored with `rules`. Shared by the Run
+// Recorder and the CSV importer so both store exactly the same shape.
+function scoredRunFields(inp, rules) {
+  const sc = computeScore(inp, rules);
+  return {
+    rulesetId: rules.id,
 
     targetDistanceM: inp.targetDistanceM,
-    vehicleDistanceCm: inp.failedRun ? 2500 : inp.vehicleDistanceCm,
+    // Blank stays blank (not measured); it scores as 0 cm.
+    vehicleDistanceCm: inp.vehicleDistanceCm === "" && !inp.failedRun ? "" : sc.breakdown.distCm,
+    distanceSide: inp.failedRun ? "" : (inp.distanceSide || ""),
 
     time1: inp.time1 || "",
     time2: inp.time2 || "",
@@ -294,49 +1181,514 @@ function saveRun() {
     score: sc.total,
     notes: inp.notes
   };
+}
 
-  const all = getRuns();
-  all.push(run);
-  setRuns(all);
+// ---------- Practice: sessions ----------
+// A session groups runs practised under the same conditions. The conditions are
+// set once on the session and copied onto each run saved while it is active, so
+// a run keeps them even if the session later changes; saving a session's edits
+// re-copies them onto its runs. Stored per user as a practice book
+// { activeSessionId, sessions: [...], vehicles: [...] } (vehicles below).
+const RUN_GROUPINGS = {
+  session: { label: "Session", keys: r => [r.sessionId ? sessionLabel(r.sessionId) : ""] },
+  location: { label: "Location", keys: r => [r.location || ""] },
+  surface: { label: "Surface", keys: r => [r.surface || ""] },
+  operator: { label: "Operator", keys: r => [r.operator || ""] },
+  tag: { label: "Tag", keys: r => (r.tags?.length ? r.tags : [""]) },
+  vehicle: { label: "Vehicle", keys: r => [r.vehicleId ? vehicleLabel(r.vehicleId) : ""] },
+  build: { label: "Build", keys: r => [r.revisionId ? buildLabel(r.revisionId) : ""] }
+};
 
-  showMsg($("runMsg"), `Saved. Score: ${run.score.toFixed(2)} (avg time ${run.timeAvg.toFixed(2)}s)`);
-  renderRunsTable();
-  renderChart();
-  renderPracticeSummary();
+function normalizeSession(s) {
+  return {
+    id: s.id || uid(),
+    name: String(s.name || ""),
+    startedAt: s.startedAt || new Date().toISOString(),
+    location: String(s.location || ""),
+    surface: String(s.surface || ""),
+    operator: String(s.operator || ""),
+    tags: Array.isArray(s.tags) ? s.tags.map(String) : []
+  };
 }
 
-function deleteRun(runId) {
-  const ok = confirm("Delete this run?");
-  if (!ok) return;
-  setRuns(getRuns().filter(r => r.id !== runId));
-  renderRunsTable();
-  renderChart();
-  renderPracticeSummary();
+function normalizePracticeBook(raw) {
+  const sessions = Array.isArray(raw?.sessions) ? raw.sessions.map(normalizeSession) : [];
+  const activeSessionId = sessions.some(s => s.id === raw.activeSessionId) ? raw.activeSessionId : null;
+  const vehicles = Array.isArray(raw?.vehicles) ? raw.vehicles.map(normalizeVehicle) : [];
+  return { activeSessionId, sessions, vehicles };
 }
 
-function clearMyRuns() {
-  const ok = confirm("Delete ALL your saved runs on this device?");
-  if (!ok) return;
-  setRuns(getRuns().filter(r => r.user !== currentUser));
-  showMsg($("runMsg"), "Cleared your runs.");
-  renderRunsTable();
-  renderChart();
-  renderPracticeSummary();
+function getPracticeBook(user) { return normalizePracticeBook(getStoredPracticeBook(user)); }
+
+function activeSession() {
+  const book = getPracticeBook(currentUser);
+  return book.sessions.find(s => s.id === book.activeSessionId) || null;
 }
 
-// ---------- CSV helpers ----------
-function toCSV(rows, headers) {
-  const esc = (v) => {
-    const s = String(v ?? "");
-    if (/[",\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-    return s;
+function sessionLabel(id) {
+  const s = getPracticeBook(currentUser).sessions.find(x => x.id === id);
+  if (!s) return "(deleted session)";
+  return `${s.name || "Session"} · ${new Date(s.startedAt).toLocaleDateString()}`;
+}
+
+// "a, b ,a" -> ["a", "b"]
+function parseTags(text) {
+  return [...new Set(String(text).split(/[,;]/).map(t => t.trim()).filter(Boolean))];
+}
+
+// The fields a run copies from its session (all blank without one).
+function sessionRunFields(s) {
+  return {
+    sessionId: s ? s.id : "",
+    location: s ? s.location : "",
+    surface: s ? s.surface : "",
+    operator: s ? s.operator : "",
+    tags: s ? s.tags.slice() : []
   };
-  const lines = [];
-  lines.push(headers.map(esc).join(","));
-  for (const row of rows) lines.push(headers.map(h => esc(row[h])).join(","));
-  return lines.join("\n");
 }
 
+// The run's value(s) for a RUN_GROUPINGS key, blanks named "(no …)".
+function groupingKeys(r, by) {
+  const f = RUN_GROUPINGS[by];
+  return f.keys(r).map(k => k || `(no ${f.label.toLowerCase()})`);
+}
+
+function readSessionForm() {
+  return {
+    name: $("sessionName").value.trim(),
+    location: $("sessionLocation").value.trim(),
+    surface: $("sessionSurface").value.trim(),
+    operator: $("sessionOperator").value.trim(),
+    tags: parseTags($("sessionTags").value)
+  };
+}
+
+function writeSessionForm(s) {
+  $("sessionName").value = s?.name || "";
+  $("sessionLocation").value = s?.location || "";
+  $("sessionSurface").value = s?.surface || "";
+  $("sessionOperator").value = s?.operator || "";
+  $("sessionTags").value = s ? s.tags.join(", ") : "";
+}
+
+function fillDatalist(id, values) {
+  const list = $(id);
+  list.innerHTML = "";
+  for (const v of [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b))) {
+    const o = document.createElement("option");
+    o.value = v;
+    list.appendChild(o);
+  }
+}
+
+function renderSessions() {
+  const book = getPracticeBook(currentUser);
+  const active = book.sessions.find(s => s.id === book.activeSessionId) || null;
+  const counts = new Map();
+  for (const r of getUserRuns(currentUser)) if (r.sessionId) counts.set(r.sessionId, (counts.get(r.sessionId) || 0) + 1);
+
+  const sel = $("sessionSelect");
+  sel.innerHTML = "";
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = "(no session)";
+  sel.appendChild(none);
+  for (const s of book.sessions.slice().sort((a, b) => b.startedAt.localeCompare(a.startedAt))) {
+    const o = document.createElement("option");
+    o.value = s.id;
+    o.textContent = `${sessionLabel(s.id)} (${counts.get(s.id) || 0} run(s))`;
+    sel.appendChild(o);
+  }
+  sel.value = active ? active.id : "";
+  writeSessionForm(active);
+
+  $("btnSaveSession").disabled = !active;
+  $("btnEndSession").disabled = !active;
+  $("sessionStatus").textContent = active
+    ? `New runs are saved to "${active.name || "Session"}"${describeConditions(active) ? ` (${describeConditions(active)})` : ""}.`
+    : "No active session: new runs are saved without conditions.";
+
+  const runs = getUserRuns(currentUser);
+  fillDatalist("surfaceList", ["Gym floor (wood)", "Tile", "Concrete", "Carpet", "Linoleum", ...book.sessions.map(s => s.surface)]);
+  fillDatalist("operatorList", [...book.sessions.map(s => s.operator), ...runs.map(r => r.operator)]);
+  fillDatalist("locationList", [...book.sessions.map(s => s.location), ...runs.map(r => r.location)]);
+  renderRunsSessionFilter(book);
+}
+
+function describeConditions(s) {
+  return [s.location, s.surface, s.operator && `run by ${s.operator}`, s.tags.length && s.tags.join(", ")].filter(Boolean).join("; ");
+}
+
+function startSession() {
+  const book = getPracticeBook(currentUser);
+  const s = normalizeSession(readSessionForm());
+  if (!s.name) s.name = `Session ${book.sessions.length + 1}`;
+  book.sessions.push(s);
+  book.activeSessionId = s.id;
+  putPracticeBook(currentUser, book);
+  renderSessions();
+  showMsg($("sessionMsg"), `Started "${s.name}". Runs you save now carry its conditions.`);
+}
+
+function selectSession() {
+  const book = getPracticeBook(currentUser);
+  book.activeSessionId = $("sessionSelect").value || null;
+  putPracticeBook(currentUser, book);
+  renderSessions();
+  showMsg($("sessionMsg"), book.activeSessionId ? "Resumed the session; new runs are added to it." : "No session selected.");
+}
+
+function saveSession() {
+  const book = getPracticeBook(currentUser);
+  const idx = book.sessions.findIndex(s => s.id === book.activeSessionId);
+  if (idx < 0) return;
+  const s = book.sessions[idx] = normalizeSession({ ...book.sessions[idx], ...readSessionForm() });
+  if (!s.name) s.name = "Session";
+  putPracticeBook(currentUser, book);
+
+  const runs = getUserRuns(currentUser).filter(r => r.sessionId === s.id).map(r => ({ ...r, ...sessionRunFields(s) }));
+  if (runs.length) putRuns(runs);
+  renderSessions();
+  renderRunsTable();
+  renderChart();
+  renderPracticeSummary();
+  showMsg($("sessionMsg"), `Saved "${s.name}" and updated its ${runs.length} run(s).`);
+}
+
+function endSession() {
+  const book = getPracticeBook(currentUser);
+  book.activeSessionId = null;
+  putPracticeBook(currentUser, book);
+  renderSessions();
+  showMsg($("sessionMsg"), "Session ended. Its runs keep their conditions.");
+}
+
+// ---------- Practice: vehicles ----------
+// The practice book also holds a vehicle registry; each vehicle has build
+// revisions in the order they were made. A run records the vehicle and revision
+// picked in the Run Recorder's Build selector (remembered per user like the
+// ruleset). Revisions that runs use cannot be deleted.
+let shownVehicleId = null;
+
+function normalizeRevision(x) {
+  return {
+    id: x.id || uid(),
+    name: String(x.name || ""),
+    date: String(x.date || ""),
+    notes: String(x.notes || "")
+  };
+}
+
+function normalizeVehicle(v) {
+  return {
+    id: v.id || uid(),
+    name: String(v.name || ""),
+    revisions: Array.isArray(v.revisions) ? v.revisions.map(normalizeRevision) : []
+  };
+}
+
+// Oldest first; undated revisions keep the order they were added in.
+function sortedRevisions(v) {
+  return v.revisions.map((x, i) => ({ x, i }))
+    .sort((a, b) => (a.x.date || "￿").localeCompare(b.x.date || "￿") || a.i - b.i)
+    .map(({ x }) => x);
+}
+
+function findBuild(revisionId, book = getPracticeBook(currentUser)) {
+  for (const v of book.vehicles) {
+    const rev = v.revisions.find(x => x.id === revisionId);
+    if (rev) return { vehicle: v, revision: rev };
+  }
+  return null;
+}
+
+function vehicleLabel(id) {
+  return getPracticeBook(currentUser).vehicles.find(v => v.id === id)?.name || "(deleted vehicle)";
+}
+
+function buildLabel(revisionId) {
+  const b = findBuild(revisionId);
+  return b ? `${b.vehicle.name} · ${b.revision.name}` : "(deleted build)";
+}
+
+// The fields a run takes from the Build selector.
+function buildRunFields(revisionId) {
+  const b = revisionId ? findBuild(revisionId) : null;
+  return { vehicleId: b ? b.vehicle.id : "", revisionId: b ? b.revision.id : "" };
+}
+
+function fillBuildSelect(sel, selectedId, noneText = "(no vehicle)") {
+  sel.innerHTML = "";
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = noneText;
+  sel.appendChild(none);
+  for (const v of getPracticeBook(currentUser).vehicles) {
+    const group = document.createElement("optgroup");
+    group.label = v.name;
+    for (const x of sortedRevisions(v).reverse()) {
+      const o = document.createElement("option");
+      o.value = x.id;
+      o.textContent = `${v.name} · ${x.name}`;
+      group.appendChild(o);
+    }
+    sel.appendChild(group);
+  }
+  sel.value = [...sel.options].some(o => o.value === selectedId) ? selectedId : "";
+}
+
+function runCountsByRevision() {
+  const counts = new Map();
+  for (const r of getUserRuns(currentUser)) if (r.revisionId) counts.set(r.revisionId, (counts.get(r.revisionId) || 0) + 1);
+  return counts;
+}
+
+function renderVehicles() {
+  const book = getPracticeBook(currentUser);
+  if (!book.vehicles.some(v => v.id === shownVehicleId)) shownVehicleId = book.vehicles[0]?.id || null;
+  const vehicle = book.vehicles.find(v => v.id === shownVehicleId) || null;
+
+  const sel = $("vehicleSelect");
+  sel.innerHTML = "";
+  for (const v of book.vehicles) {
+    const o = document.createElement("option");
+    o.value = v.id;
+    o.textContent = v.name;
+    sel.appendChild(o);
+  }
+  sel.value = shownVehicleId || "";
+  sel.disabled = !vehicle;
+  $("btnAddRevision").disabled = !vehicle;
+  $("btnDeleteVehicle").disabled = !vehicle;
+
+  const counts = runCountsByRevision();
+  const tbody = $("revisionsTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const x of vehicle ? sortedRevisions(vehicle) : []) {
+    const tr = document.createElement("tr");
+    for (const [field, type] of [["name", "text"], ["date", "date"], ["notes", "text"]]) {
+      const td = document.createElement("td");
+      const input = document.createElement("input");
+      input.type = type;
+      input.value = x[field];
+      input.addEventListener("change", () => updateRevision(vehicle.id, x.id, { [field]: input.value.trim() }));
+      td.appendChild(input);
+      tr.appendChild(td);
+    }
+    const tdCount = document.createElement("td");
+    tdCount.textContent = counts.get(x.id) || 0;
+    tr.appendChild(tdCount);
+
+    const tdDel = document.createElement("td");
+    const del = document.createElement("button");
+    del.className = "danger";
+    del.textContent = "Delete";
+    del.disabled = counts.has(x.id);
+    del.title = counts.has(x.id) ? "Runs use this revision" : "";
+    del.addEventListener("click", () => deleteRevision(vehicle.id, x.id));
+    tdDel.appendChild(del);
+    tr.appendChild(tdDel);
+    tbody.appendChild(tr);
+  }
+
+  const picked = editingRunId ? $("practiceBuild").value : getPrefs(currentUser).practiceRevisionId;
+  fillBuildSelect($("practiceBuild"), picked);
+  fillBuildSelect($("runsBuild"), $("runsBuild").value, "Any");
+}
+
+function addVehicle() {
+  const name = $("newVehicleName").value.trim();
+  if (!name) return showMsg($("vehicleMsg"), "Name the vehicle first.", true);
+  const book = getPracticeBook(currentUser);
+  if (book.vehicles.some(v => v.name.toLowerCase() === name.toLowerCase())) {
+    return showMsg($("vehicleMsg"), "A vehicle with that name already exists.", true);
+  }
+  const first = normalizeRevision({ name: "v1", date: new Date().toISOString().slice(0, 10) });
+  const v = normalizeVehicle({ name, revisions: [first] });
+  book.vehicles.push(v);
+  putPracticeBook(currentUser, book);
+  shownVehicleId = v.id;
+  setPrefs(currentUser, { practiceRevisionId: first.id });
+  $("newVehicleName").value = "";
+  renderVehicles();
+  showMsg($("vehicleMsg"), `Added ${name} (v1); new runs use it.`);
+}
+
+function addRevision() {
+  const book = getPracticeBook(currentUser);
+  const v = book.vehicles.find(x => x.id === shownVehicleId);
+  if (!v) return;
+  const x = normalizeRevision({
+    name: $("revName").value.trim() || `v${v.revisions.length + 1}`,
+    date: $("revDate").value || new Date().toISOString().slice(0, 10),
+    notes: $("revNotes").value.trim()
+  });
+  v.revisions.push(x);
+  putPracticeBook(currentUser, book);
+  // A rebuild applies to the runs that follow it.
+  if (!editingRunId) setPrefs(currentUser, { practiceRevisionId: x.id });
+  for (const id of ["revName", "revDate", "revNotes"]) $(id).value = "";
+  renderVehicles();
+  showMsg($("vehicleMsg"), `Added ${v.name} · ${x.name}; new runs use it.`);
+}
+
+function updateRevision(vehicleId, revisionId, patch) {
+  const book = getPracticeBook(currentUser);
+  const x = book.vehicles.find(v => v.id === vehicleId)?.revisions.find(r => r.id === revisionId);
+  if (!x) return;
+  if (patch.name === "") return renderVehicles();
+  Object.assign(x, patch);
+  putPracticeBook(currentUser, book);
+  renderVehicles();
+  renderRunsTable();
+}
+
+function deleteRevision(vehicleId, revisionId) {
+  if (runCountsByRevision().has(revisionId)) return;
+  const book = getPracticeBook(currentUser);
+  const v = book.vehicles.find(x => x.id === vehicleId);
+  if (!v) return;
+  v.revisions = v.revisions.filter(x => x.id !== revisionId);
+  putPracticeBook(currentUser, book);
+  renderVehicles();
+}
+
+function deleteVehicle() {
+  const book = getPracticeBook(currentUser);
+  const v = book.vehicles.find(x => x.id === shownVehicleId);
+  if (!v) return;
+  const counts = runCountsByRevision();
+  const used = v.revisions.reduce((n, x) => n + (counts.get(x.id) || 0), 0);
+  if (used) return showMsg($("vehicleMsg"), `${v.name} has ${used} saved run(s); delete or re-assign them first.`, true);
+  const ok = confirm(`Delete ${v.name} and its ${v.revisions.length} revision(s)?`);
+  if (!ok) return;
+  book.vehicles = book.vehicles.filter(x => x.id !== v.id);
+  putPracticeBook(currentUser, book);
+  renderVehicles();
+  showMsg($("vehicleMsg"), `Deleted ${v.name}.`);
+}
+
+// ---------- Practice: editing a saved run ----------
+// Edit loads the run back into the Run Recorder; Save then rewrites that run in
+// place (same id and createdAt) instead of adding a new one.
+let editingRunId = null;
+
+function writePracticeForm(r) {
+  const blank = (v) => v === 0 || v == null ? "" : v;
+  $("targetDistanceM").value = blank(r.targetDistanceM);
+  $("vehicleDistanceCm").value = r.vehicleDistanceCm ?? "";
+  $("distanceSide").value = r.distanceSide || "";
+  $("runTimeS1").value = r.time1 ?? "";
+  $("runTimeS2").value = r.time2 ?? "";
+  $("runTimeS3").value = r.time3 ?? "";
+  $("carAngleDeg").value = blank(r.carAngleDeg);
+  $("dialTurns").value = blank(r.dialTurns);
+  $("winds").value = blank(r.winds);
+  $("bucketBonus").checked = !!r.bucketBonus;
+  $("failedRun").checked = !!r.failedRun;
+  $("competitionViolation").value = r.competitionViolation ? "1" : "0";
+  $("constructionViolation").value = r.constructionViolation ? "1" : "0";
+  $("notes").value = r.notes || "";
+}
+
+function startRunEdit(runId) {
+  const run = getUserRuns(currentUser).find(r => r.id === runId);
+  if (!run) return;
+  editingRunId = runId;
+  writePracticeForm(run);
+  // Keep the run's own ruleset unless the user picks another one while editing.
+  fillRulesetSelect($("practiceRuleset"), run.rulesetId);
+  fillBuildSelect($("practiceBuild"), run.revisionId);
+  applyPracticeRulesetLabels();
+  updateScorePreview();
+  setRunEditUI(run);
+  renderRunsTable();
+  $("runRecorder").scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+function setRunEditUI(run) {
+  $("btnSave").textContent = run ? "Save changes" : "Save Run";
+  $("btnCancelEdit").classList.toggle("hidden", !run);
+  $("editBanner").classList.toggle("hidden", !run);
+  if (run) $("editBanner").textContent = `Editing run from ${new Date(run.createdAt).toLocaleString()}`;
+}
+
+function endRunEdit() {
+  editingRunId = null;
+  setRunEditUI(null);
+  fillRulesetSelect($("practiceRuleset"), getPrefs(currentUser).practiceRulesetId);
+  fillBuildSelect($("practiceBuild"), getPrefs(currentUser).practiceRevisionId);
+  applyPracticeRulesetLabels();
+  updateScorePreview();
+  renderRunsTable();
+}
+
+function cancelRunEdit() {
+  endRunEdit();
+  showMsg($("runMsg"), "Edit cancelled; the saved run is unchanged.");
+}
+
+function saveRunEdit() {
+  const old = getUserRuns(currentUser).find(r => r.id === editingRunId);
+  if (!old) {
+    endRunEdit();
+    return showMsg($("runMsg"), "That run no longer exists.", true);
+  }
+
+  const run = {
+    ...old,
+    ...scoredRunFields(readPracticeForm(), practiceRuleset()),
+    ...buildRunFields($("practiceBuild").value),
+    id: old.id,
+    user: old.user,
+    createdAt: old.createdAt,
+    updatedAt: new Date().toISOString()
+  };
+  putRuns([run]);
+  recordRunsChange("Edit run", [old], [run]);
+
+  endRunEdit();
+  showMsg($("runMsg"), `Updated. Score: ${run.score.toFixed(2)} (was ${Number(old.score).toFixed(2)})`);
+  renderChart();
+  renderPracticeSummary();
+}
+
+// Deleting moves runs to the trash (Data tab); Undo puts them straight back.
+function trashRuns(runs, label) {
+  const deletedAt = new Date().toISOString();
+  const trashed = runs.map(r => ({ ...r, deletedAt }));
+  putRuns(trashed);
+  recordRunsChange(label, runs, trashed);
+  renderTrash();
+}
+
+function deleteRun(runId) {
+  const run = getUserRuns(currentUser).find(r => r.id === runId);
+  if (!run) return;
+  trashRuns([run], "Delete run");
+  if (runId === editingRunId) endRunEdit();
+  showMsg($("runMsg"), "Moved the run to the trash.");
+  renderSessions();
+  renderVehicles();
+  renderRunsTable();
+  renderChart();
+  renderPracticeSummary();
+}
+
+function clearMyRuns() {
+  const runs = getUserRuns(currentUser);
+  if (!runs.length) return;
+  trashRuns(runs, "Clear runs");
+  if (editingRunId) endRunEdit();
+  showMsg($("runMsg"), `Moved ${runs.length} run(s) to the trash.`);
+  renderSessions();
+  renderVehicles();
+  renderRunsTable();
+  renderChart();
+  renderPracticeSummary();
+}
+
+// ---------- CSV helpers ----------
 function download(filename, content, mime="text/plain") {
   const blob = new Blob([content], { type: mime });
   const url = URL.createObjectURL(blob);
@@ -350,48 +1702,459 @@ function download(filename, content, mime="text/plain") {
 }
 
 function exportRunsCSV() {
-  const runs = getUserRuns(currentUser).slice().sort((a,b) => a.createdAt.localeCompare(b.createdAt));
+  const runs = runsFor("runsFilterExport").slice().sort((a,b) => a.createdAt.localeCompare(b.createdAt));
   const headers = [
-    "id","user","createdAt",
-    "targetDistanceM","vehicleDistanceCm",
+    "id","user","createdAt","updatedAt","rulesetId",
+    "targetDistanceM","vehicleDistanceCm","distanceSide",
     "time1","time2","time3","timeAvg",
     "bucketBonus","competitionViolation","constructionViolation","failedRun",
     "carAngleDeg","dialTurns","winds",
-    "score","notes"
+    "score","notes",
+    "sessionId","location","surface","operator","tags",
+    "vehicleId","revisionId","build"
   ];
-  download(`scrambler_runs_${currentUser}.csv`, toCSV(runs, headers), "text/csv");
+  const rows = runs.map(r => ({ ...r, tags: (r.tags || []).join("; "), build: r.revisionId ? buildLabel(r.revisionId) : "" }));
+  download(`scrambler_runs_${currentUser}.csv`, toCSV(rows, headers), "text/csv");
+}
+
+// ---------- Runs CSV import ----------
+// Accepts the exportRunsCSV format as-is, or any spreadsheet once its columns are
+// mapped. Scores are always recomputed; the file's timeAvg/score are ignored.
+// A blank number cell reads as 0 unless its field sets `blank`.
+const RUN_IMPORT_FIELDS = [
+  { key: "id", label: "Run id", type: "text", aliases: [] },
+  { key: "createdAt", label: "Date/Time", type: "date", aliases: ["date", "datetime", "date/time", "time stamp", "timestamp"] },
+  { key: "rulesetId", label: "Ruleset id", type: "text", aliases: ["ruleset", "rules"] },
+  { key: "targetDistanceM", label: "Track m", type: "number", aliases: ["track", "trackm", "target", "targetm", "targetdistance"] },
+  { key: "vehicleDistanceCm", label: "Dist cm", type: "number", blank: "", aliases: ["dist", "distcm", "distance", "distancecm"] },
+  { key: "distanceSide", label: "Stopped (short/past)", type: "side", aliases: ["side", "stopped"] },
+  { key: "time1", label: "t1", type: "time", aliases: ["t1", "time 1"] },
+  { key: "time2", label: "t2", type: "time", aliases: ["t2", "time 2"] },
+  { key: "time3", label: "t3", type: "time", aliases: ["t3", "time 3"] },
+  { key: "bucketBonus", label: "Bucket", type: "bool", aliases: ["bucket"] },
+  { key: "competitionViolation", label: "CV", type: "bool", aliases: ["cv"] },
+  { key: "constructionViolation", label: "ConV", type: "bool", aliases: ["conv"] },
+  { key: "failedRun", label: "Failed", type: "bool", aliases: ["failed"] },
+  { key: "carAngleDeg", label: "Angle°", type: "number", aliases: ["angle", "carangle"] },
+  { key: "dialTurns", label: "Turns", type: "number", aliases: ["turns", "dial"] },
+  { key: "winds", label: "Winds", type: "number", aliases: [] },
+  { key: "notes", label: "Notes", type: "text", aliases: ["note", "comments"] },
+  { key: "location", label: "Location", type: "text", aliases: ["place", "venue"] },
+  { key: "surface", label: "Surface", type: "text", aliases: ["floor"] },
+  { key: "operator", label: "Operator", type: "text", aliases: ["driver", "runby"] },
+  { key: "tags", label: "Tags", type: "tags", aliases: ["tag"] }
+];
+
+let csvImport = null;
+
+function headerKey(h) { return String(h).toLowerCase().replace(/[\s_°()-]/g, ""); }
+
+function autoMapColumns(headers) {
+  const keys = headers.map(headerKey);
+  const map = {};
+  for (const f of RUN_IMPORT_FIELDS) {
+    const want = [f.key, f.label, ...f.aliases].map(headerKey);
+    const idx = keys.findIndex(k => want.includes(k));
+    map[f.key] = idx;
+  }
+  return map;
+}
+
+// Turns one CSV row into Run Recorder input, or a list of problems.
+function readImportRow(cells, map) {
+  const errors = [];
+  const out = {};
+  for (const f of RUN_IMPORT_FIELDS) {
+    const idx = map[f.key];
+    const raw = idx >= 0 ? String(cells[idx] ?? "").trim() : "";
+    if (f.type === "number") {
+      if (raw === "") out[f.key] = f.blank ?? 0;
+      else if (Number.isFinite(Number(raw))) out[f.key] = Number(raw);
+      else errors.push(`${f.label} "${raw}" is not a number`);
+    } else if (f.type === "time") {
+      if (raw === "" || (Number.isFinite(Number(raw)) && Number(raw) >= 0)) out[f.key] = raw;
+      else errors.push(`${f.label} "${raw}" is not a time in seconds`);
+    } else if (f.type === "bool") {
+      const b = parseBool(raw);
+      if (b === null) errors.push(`${f.label} "${raw}" is not yes/no`);
+      else out[f.key] = b;
+    } else if (f.type === "side") {
+      const side = raw.toLowerCase();
+      if (["", "short", "past"].includes(side)) out[f.key] = side;
+      else errors.push(`${f.label} "${raw}" is not short/past`);
+    } else if (f.type === "date") {
+      if (raw === "") out[f.key] = "";
+      else if (Number.isNaN(Date.parse(raw))) errors.push(`${f.label} "${raw}" is not a date`);
+      else out[f.key] = new Date(raw).toISOString();
+    } else if (f.type === "tags") {
+      out[f.key] = parseTags(raw);
+    } else {
+      out[f.key] = raw;
+    }
+  }
+  return { inp: out, errors };
+}
+
+// Duplicate key for CSV import. Rows without a date get a made-up createdAt, so
+// they are matched on the measured fields alone (`dated` false).
+function runSignature(r, dated = true) {
+  return [dated ? r.createdAt : "", r.targetDistanceM, r.vehicleDistanceCm, r.time1, r.time2, r.time3, r.dialTurns, r.winds]
+    .map(v => String(v ?? "")).join("|");
+}
+
+// Validates every row against the current mapping without saving anything.
+function checkCSVImport() {
+  const { headers, body, map } = csvImport;
+  const fallbackRules = practiceRuleset();
+  const existing = getUserRuns(currentUser);
+  // Ids of this user's runs mark duplicates. Ids held by other accounts on this
+  // device (sealed, so only the id is known) must not be reused: putRuns would
+  // overwrite that account's run.
+  const ids = new Set(getRuns().map(r => r.id));
+  const taken = new Set(storedRuns().filter(r => r.user !== currentUser).map(r => r.id));
+  const sigs = new Set(existing.map(r => runSignature(r)));
+  const undatedSigs = new Set(existing.map(r => runSignature(r, false)));
+  const now = Date.now();
+
+  const report = body.map((cells, i) => {
+    const line = i + 2;
+    const { inp, errors } = readImportRow(cells, map);
+    if (cells.length > headers.length) errors.push(`has ${cells.length} cells but the header has ${headers.length}`);
+
+    let rules = fallbackRules;
+    if (inp.rulesetId) {
+      rules = listRulesets().find(r => r.id === inp.rulesetId);
+      if (!rules) errors.push(`unknown ruleset "${inp.rulesetId}"`);
+    }
+    if (errors.length) return { line, status: "error", message: errors.join("; ") };
+
+    const reId = !!inp.id && taken.has(inp.id);
+    const run = {
+      id: inp.id && !reId ? inp.id : uid(),
+      user: currentUser,
+      // Rows without a date keep file order, one second apart.
+      createdAt: inp.createdAt || new Date(now - (body.length - i) * 1000).toISOString(),
+      ...scoredRunFields({
+        ...inp,
+        competitionViolationPoints: inp.competitionViolation,
+        constructionViolationPoints: inp.constructionViolation
+      }, rules),
+      // Imported runs belong to no session but keep the conditions in the file.
+      ...sessionRunFields(null),
+      location: inp.location,
+      surface: inp.surface,
+      operator: inp.operator,
+      tags: inp.tags
+    };
+
+    const sig = runSignature(run), undatedSig = runSignature(run, false);
+    if ((inp.id && ids.has(inp.id)) || (inp.createdAt ? sigs.has(sig) : undatedSigs.has(undatedSig))) {
+      return { line, status: "duplicate", message: "already saved", run };
+    }
+    ids.add(run.id);
+    sigs.add(sig);
+    undatedSigs.add(undatedSig);
+    const note = reId ? "; its id belongs to another account here, so it gets a new one" : "";
+    return { line, status: "ok", message: `score ${run.score.toFixed(2)} (${rules.name})${note}`, run };
+  });
+
+  csvImport.report = report;
+  renderCSVImportReport();
+}
+
+function renderCSVImportMapping() {
+  const grid = $("csvMapGrid");
+  grid.innerHTML = "";
+  const { headers, map } = csvImport;
+
+  for (const f of RUN_IMPORT_FIELDS) {
+    const wrap = document.createElement("div");
+    const label = document.createElement("label");
+    label.textContent = f.label;
+    const sel = document.createElement("select");
+    const none = document.createElement("option");
+    none.value = "-1";
+    none.textContent = "(not in file)";
+    sel.appendChild(none);
+    headers.forEach((h, i) => {
+      const o = document.createElement("option");
+      o.value = String(i);
+      o.textContent = h || `(column ${i + 1})`;
+      sel.appendChild(o);
+    });
+    sel.value = String(map[f.key]);
+    sel.addEventListener("change", () => { map[f.key] = Number(sel.value); checkCSVImport(); });
+    label.appendChild(sel);
+    wrap.appendChild(label);
+    grid.appendChild(wrap);
+  }
+}
+
+function renderCSVImportReport() {
+  const tbody = $("csvReportTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  const report = csvImport.report;
+
+  for (const r of report) {
+    const tr = document.createElement("tr");
+    if (r.status === "error") tr.className = "bad";
+    for (const c of [r.line, r.status, r.message]) {
+      const td = document.createElement("td");
+      td.textContent = c;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+
+  const ok = report.filter(r => r.status === "ok").length;
+  const dup = report.filter(r => r.status === "duplicate").length;
+  const bad = report.filter(r => r.status === "error").length;
+  $("btnCsvCommit").textContent = `Import ${ok} run(s)`;
+  $("btnCsvCommit").disabled = ok === 0;
+  showMsg($("csvMsg"), `${ok} ready, ${dup} duplicate(s) skipped, ${bad} error(s). Rows with errors are not imported.`, bad > 0);
+}
+
+async function loadCSVImportFile() {
+  const f = $("csvFile").files[0];
+  csvImport = null;
+  $("csvImportPanel").classList.add("hidden");
+  if (!f) return;
+
+  let text;
+  try { text = await f.text(); }
+  catch { return showMsg($("csvMsg"), `Could not read ${f.name}.`, true); }
+
+  const rows = parseCSV(text);
+  if (rows.length < 2) return showMsg($("csvMsg"), "That file has no data rows under a header row.", true);
+
+  const headers = rows[0].map(h => h.trim());
+  csvImport = { headers, body: rows.slice(1), map: autoMapColumns(headers), report: [] };
+  $("csvImportPanel").classList.remove("hidden");
+  renderCSVImportMapping();
+  checkCSVImport();
+}
+
+function commitCSVImport() {
+  if (!csvImport) return;
+  const runs = csvImport.report.filter(r => r.status === "ok").map(r => r.run);
+  if (!runs.length) return;
+  putRuns(runs);
+  recordRunsChange(`Import ${runs.length} run(s)`, [], runs);
+
+  const skipped = csvImport.report.length - runs.length;
+  csvImport = null;
+  $("csvFile").value = "";
+  $("csvImportPanel").classList.add("hidden");
+  showMsg($("csvMsg"), `Imported ${runs.length} run(s); skipped ${skipped} row(s).`);
+  renderRunsTable();
+  renderChart();
+  renderPracticeSummary();
 }
 
 // ---------- Chart ----------
-function buildChartData(runs) {
+// Every mode works from runs oldest first and returns Chart.js datasets plus the
+// axis names the CSV export uses, so Export Graph CSV writes exactly what is
+// drawn. "Series per …" splits each mode by track distance or a session
+// condition on the same axes (a run with several tags is in each tag's series);
+// over-time modes keep one shared time axis and leave gaps between a series' runs.
+const MOVING_AVG_RUNS = 5;
+const HISTOGRAM_MAX_BINS = 12;
+const CHART_COLORS = ["#60a5fa", "#f59e0b", "#34d399", "#f472b6", "#a78bfa", "#f87171", "#2dd4bf", "#facc15"];
+
+function chartSeries(sorted, by) {
+  if (!by) return [{ label: "", runs: sorted, color: CHART_COLORS[0] }];
+  const groups = new Map();
+  for (const r of sorted) {
+    for (const k of by === "track" ? [trackKey(r.targetDistanceM)] : groupingKeys(r, by)) {
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(r);
+    }
+  }
+  const keys = by === "track"
+    ? [...groups.keys()].sort((a, b) => (a === "(blank)") - (b === "(blank)") || Number(a) - Number(b))
+    : [...groups.keys()].sort((a, b) => a.startsWith("(") - b.startsWith("(") || a.localeCompare(b));
+  return keys.map((k, i) => ({
+    label: by !== "track" ? k : k === "(blank)" ? "No track" : `${k} m`,
+    runs: groups.get(k),
+    color: CHART_COLORS[i % CHART_COLORS.length]
+  }));
+}
+
+// Trailing mean of the last n non-null values; null until there is one.
+function movingAverage(values, n) {
+  const out = [];
+  const win = [];
+  for (const v of values) {
+    if (v !== null) {
+      win.push(v);
+      if (win.length > n) win.shift();
+    }
+    out.push(win.length ? win.reduce((p, c) => p + c, 0) / win.length : null);
+  }
+  return out;
+}
+
+// Equal-width bins over [min, max]; about √n of them, capped.
+function histogramBins(values) {
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const count = hi > lo ? Math.min(HISTOGRAM_MAX_BINS, Math.ceil(Math.sqrt(values.length))) : 1;
+  const width = (hi - lo) / count || 1;
+  return Array.from({ length: count }, (_, i) => {
+    const from = lo + i * width;
+    const to = i === count - 1 ? hi : from + width;
+    return { from, to, label: `${from.toFixed(2)}–${to.toFixed(2)}` };
+  });
+}
+
+function binIndex(bins, v) {
+  const i = bins.findIndex(b => v < b.to);
+  return i === -1 ? bins.length - 1 : i;
+}
+
+function seriesName(s, name) { return s.label ? `${s.label} ${name}` : name; }
+
+function buildChartData(runs, mode = $("chartMode").value, seriesBy = $("chartSeriesBy").value) {
   const sorted = runs.slice().sort((a,b) => a.createdAt.localeCompare(b.createdAt));
-  const mode = $("chartMode").value;
+  const series = chartSeries(sorted, seriesBy);
+  // Over-time modes share one category axis: each series is null off its own runs.
+  const onTimeline = (s, values) => {
+    const at = new Map(s.runs.map((r, i) => [r.id, values[i]]));
+    return sorted.map(r => (at.has(r.id) ? at.get(r.id) : null));
+  };
+  const timeline = {
+    type: "line",
+    labels: sorted.map(r => new Date(r.createdAt).toLocaleString()),
+    xValues: sorted.map(r => r.createdAt),
+    xName: "createdAt"
+  };
 
   if (mode === "scoreVsDistance") {
     return {
       type: "scatter",
+      xName: "vehicleDistanceCm",
+      yName: "score",
+      xTitle: "Vehicle Distance (cm)",
+      yTitle: "Run Score (lower is better)",
+      labels: [],
+      datasets: series.map(s => ({
+        label: seriesName(s, "Score vs Distance (cm)"),
+        data: s.runs.map(r => ({ x: Number(r.vehicleDistanceCm), y: Number(r.score) })),
+        borderColor: s.color,
+        backgroundColor: s.color
+      }))
+    };
+  }
+
+  if (mode === "errorOverTime") {
+    const datasets = [];
+    for (const s of series) {
+      const errs = s.runs.map(r => (r.failedRun ? null : signedErrorCm(r)));
+      datasets.push({
+        label: seriesName(s, "Distance error (cm)"),
+        data: onTimeline(s, errs),
+        showLine: false,
+        borderColor: s.color,
+        backgroundColor: s.color
+      }, {
+        label: seriesName(s, `${MOVING_AVG_RUNS}-run moving average`),
+        data: onTimeline(s, movingAverage(errs, MOVING_AVG_RUNS)),
+        spanGaps: true,
+        pointRadius: 0,
+        borderWidth: 2,
+        tension: 0.15,
+        borderColor: s.color,
+        backgroundColor: s.color
+      });
+    }
+    return {
+      ...timeline,
+      yName: "errorCm",
+      yTitle: "Distance error (cm, + past / − short)",
+      note: "Runs with no stopping side and failed runs are left out.",
+      datasets
+    };
+  }
+
+  if (mode === "turnsVsDistance") {
+    const datasets = [];
+    for (const s of series) {
+      const used = modelRuns(s.runs);
+      const pts = used.map(r => ({ x: num(r.dialTurns), y: travelledCm(r) }));
+      datasets.push({
+        label: seriesName(s, "Travelled distance (cm)"),
+        data: pts,
+        borderColor: s.color,
+        backgroundColor: s.color
+      });
+      const xs = pts.map(p => p.x);
+      const fit = new Set(xs).size > 1 ? fitLinear(pts.map(p => [1, p.x]), pts.map(p => p.y)) : null;
+      if (!fit) continue;
+      const [a, b] = fit.coef;
+      const ends = [Math.min(...xs), Math.max(...xs)];
+      datasets.push({
+        label: seriesName(s, `fit: ${round2(a)} ${b < 0 ? "−" : "+"} ${round2(Math.abs(b))} cm/turn` + (Number.isFinite(fit.r2) ? ` (R² ${fit.r2.toFixed(3)})` : "")),
+        data: ends.map(x => ({ x, y: round2(fit.predict([1, x])) })),
+        showLine: true,
+        pointRadius: 0,
+        borderWidth: 2,
+        borderDash: [6, 4],
+        borderColor: s.color,
+        backgroundColor: s.color
+      });
+    }
+    return {
+      type: "scatter",
+      xName: "dialTurns",
+      yName: "travelledCm",
+      xTitle: "Dial turns",
+      yTitle: "Travelled distance (cm)",
+      note: "Uses runs with dial turns, a track distance and a stopping side; failed runs are left out.",
       labels: [],
-      datasets: [{
-        label: "Score vs Distance (cm)",
-        data: sorted.map(r => ({ x: Number(r.vehicleDistanceCm), y: Number(r.score) }))
-      }]
+      datasets
+    };
+  }
+
+  if (mode === "timeHistogram") {
+    const timed = r => !r.failedRun && num(r.timeAvg) > 0;
+    const all = sorted.filter(timed).map(r => num(r.timeAvg));
+    const bins = all.length ? histogramBins(all) : [];
+    return {
+      type: "bar",
+      xName: "timeBinS",
+      yName: "runs",
+      xTitle: "Run time (s)",
+      yTitle: "Runs",
+      note: "Failed runs and runs without a time are left out.",
+      labels: bins.map(b => b.label),
+      xValues: bins.map(b => b.label),
+      datasets: series.map(s => {
+        const counts = bins.map(() => 0);
+        for (const r of s.runs.filter(timed)) counts[binIndex(bins, num(r.timeAvg))]++;
+        return { label: seriesName(s, "Runs"), data: counts, borderColor: s.color, backgroundColor: s.color };
+      })
     };
   }
+
   return {
-    type: "line",
-    labels: sorted.map(r => new Date(r.createdAt).toLocaleString()),
-    datasets: [{
-      label: "Score over time",
-      data: sorted.map(r => Number(r.score)),
-      tension: 0.15
-    }]
+    ...timeline,
+    yName: "score",
+    yTitle: "Run Score (lower is better)",
+    datasets: series.map(s => ({
+      label: seriesName(s, "Score over time"),
+      data: onTimeline(s, s.runs.map(r => Number(r.score))),
+      spanGaps: true,
+      tension: 0.15,
+      borderColor: s.color,
+      backgroundColor: s.color
+    }))
   };
 }
 
 function renderChart() {
-  const runs = getUserRuns(currentUser);
+  const runs = runsFor("runsFilterChart");
   const ctx = $("chart").getContext("2d");
   const built = buildChartData(runs);
+  $("chartNote").textContent = built.note || "";
 
   if (chart) chart.destroy();
   chart = new Chart(ctx, {
@@ -400,40 +2163,189 @@ function renderChart() {
     options: {
       responsive: true,
       plugins: { legend: { display: true } },
-      scales: built.type === "scatter"
-        ? {
-            x: { title: { display: true, text: "Vehicle Distance (cm)" } },
-            y: { title: { display: true, text: "Run Score (lower is better)" } }
-          }
-        : {
-            x: { ticks: { autoSkip: true, maxTicksLimit: 8 } },
-            y: { title: { display: true, text: "Run Score (lower is better)" } }
-          }
+      scales: {
+        x: built.type === "line"
+          ? { ticks: { autoSkip: true, maxTicksLimit: 8 } }
+          : { title: { display: true, text: built.xTitle } },
+        y: { title: { display: true, text: built.yTitle }, beginAtZero: built.type === "bar" }
+      }
     }
   });
 }
 
+// One row per plotted point, in dataset order.
+function chartRows(built) {
+  const rows = [];
+  for (const ds of built.datasets) {
+    ds.data.forEach((p, i) => {
+      if (p === null || p === undefined) return;
+      const [x, y] = typeof p === "object" ? [p.x, p.y] : [built.xValues[i], p];
+      rows.push({ series: ds.label, [built.xName]: x, [built.yName]: Number.isFinite(y) ? round2(y) : "" });
+    });
+  }
+  return rows;
+}
+
 function exportChartCSV() {
-  const runs = getUserRuns(currentUser).slice().sort((a,b) => a.createdAt.localeCompare(b.createdAt));
   const mode = $("chartMode").value;
+  const built = buildChartData(runsFor("runsFilterChart"), mode);
+  const headers = ["series", built.xName, built.yName];
+  download(`scrambler_chart_${mode}_${currentUser}.csv`, toCSV(chartRows(built), headers), "text/csv");
+}
 
-  let rows, headers;
-  if (mode === "scoreVsDistance") {
-    headers = ["createdAt","vehicleDistanceCm","score"];
-    rows = runs.map(r => ({ createdAt: r.createdAt, vehicleDistanceCm: r.vehicleDistanceCm, score: r.score }));
-  } else {
-    headers = ["createdAt","score"];
-    rows = runs.map(r => ({ createdAt: r.createdAt, score: r.score }));
+// ---------- Runs table ----------
+// Sorting, filters and paging only change what is shown; the filter also feeds
+// Export Runs CSV and the graph when their checkboxes are ticked.
+const RUN_SORTS = {
+  createdAt: r => r.createdAt,
+  rules: r => getRuleset(r.rulesetId).name,
+  track: r => num(r.targetDistanceM),
+  dist: r => num(r.vehicleDistanceCm),
+  time1: r => num(r.time1),
+  time2: r => num(r.time2),
+  time3: r => num(r.time3),
+  timeAvg: r => num(r.timeAvg),
+  bucket: r => Number(!!r.bucketBonus),
+  cv: r => Number(!!r.competitionViolation),
+  conv: r => Number(!!r.constructionViolation),
+  failed: r => Number(!!r.failedRun),
+  angle: r => num(r.carAngleDeg),
+  turns: r => num(r.dialTurns),
+  winds: r => num(r.winds),
+  score: r => num(r.score),
+  session: r => (r.sessionId ? sessionLabel(r.sessionId) : ""),
+  build: r => (r.revisionId ? buildLabel(r.revisionId) : ""),
+  notes: r => r.notes || ""
+};
+const runsView = { sortKey: "createdAt", sortDir: -1, page: 0 };
+
+function readRunsFilter() {
+  const val = id => $(id).value.trim();
+  return {
+    search: val("runsSearch").toLowerCase(),
+    from: val("runsFrom"),
+    to: val("runsTo"),
+    trackM: val("runsTrackM"),
+    trackTol: val("runsTrackTol"),
+    angle: val("runsAngle"),
+    turns: val("runsTurns"),
+    winds: val("runsWinds"),
+    bucket: val("runsBucket"),
+    violation: val("runsViolation"),
+    failed: val("runsFailed"),
+    session: val("runsSession"),
+    location: val("runsLocation").toLowerCase(),
+    surface: val("runsSurface").toLowerCase(),
+    operator: val("runsOperator").toLowerCase(),
+    tag: val("runsTag").toLowerCase(),
+    build: val("runsBuild")
+  };
+}
+
+function filterRuns(runs, f) {
+  const yesNo = (want, on) => !want || (want === "yes") === !!on;
+  const has = (want, v) => !want || String(v || "").toLowerCase().includes(want);
+  const same = (want, v, tol) => want === "" || (v !== "" && v != null && approxEq(num(v), num(want), tol));
+  // Date inputs are local calendar days; createdAt is an ISO timestamp.
+  const from = f.from ? new Date(`${f.from}T00:00`).getTime() : -Infinity;
+  const to = f.to ? new Date(`${f.to}T00:00`).getTime() + 86400000 : Infinity;
+  const tol = f.trackTol ? num(f.trackTol) : 0.005;
+
+  return runs.filter((r) => {
+    const t = new Date(r.createdAt).getTime();
+    return t >= from && t < to
+      && (!f.search || String(r.notes || "").toLowerCase().includes(f.search))
+      && same(f.trackM, r.targetDistanceM, tol)
+      && same(f.angle, r.carAngleDeg, 0.05)
+      && same(f.turns, r.dialTurns, 0.005)
+      && same(f.winds, r.winds, 0.5)
+      && yesNo(f.bucket, r.bucketBonus)
+      && yesNo(f.violation, r.competitionViolation || r.constructionViolation)
+      && yesNo(f.failed, r.failedRun)
+      && (!f.session || (f.session === "none" ? !r.sessionId : r.sessionId === f.session))
+      && has(f.location, r.location)
+      && has(f.surface, r.surface)
+      && has(f.operator, r.operator)
+      && (!f.tag || (r.tags || []).some(t => t.toLowerCase().includes(f.tag)))
+      && (!f.build || r.revisionId === f.build);
+  });
+}
+
+function runsFilterActive(f = readRunsFilter()) { return Object.values(f).some(Boolean); }
+function filteredRuns() { return filterRuns(getUserRuns(currentUser), readRunsFilter()); }
+// What Export Runs CSV and the graph work from.
+function runsFor(checkboxId) { return $(checkboxId).checked ? filteredRuns() : getUserRuns(currentUser); }
+
+function sortRuns(runs) {
+  const get = RUN_SORTS[runsView.sortKey] || RUN_SORTS.createdAt;
+  return runs.slice().sort((a, b) => {
+    const va = get(a), vb = get(b);
+    const c = typeof va === "string" ? va.localeCompare(vb) : va - vb;
+    return (c || a.createdAt.localeCompare(b.createdAt)) * runsView.sortDir;
+  });
+}
+
+function setRunsSort(key) {
+  if (runsView.sortKey === key) runsView.sortDir *= -1;
+  else Object.assign(runsView, { sortKey: key, sortDir: key === "createdAt" ? -1 : 1 });
+  runsView.page = 0;
+  renderRunsTable();
+}
+
+function onRunsFilterChange() {
+  runsView.page = 0;
+  renderRunsTable();
+  if ($("runsFilterChart").checked) renderChart();
+  if ($("runsFilterSummary").checked) renderPracticeSummary();
+}
+
+const RUNS_FILTER_TEXT = ["runsSearch", "runsFrom", "runsTo", "runsTrackM", "runsTrackTol", "runsAngle", "runsTurns", "runsWinds", "runsLocation", "runsSurface", "runsOperator", "runsTag"];
+const RUNS_FILTER_SELECTS = ["runsBucket", "runsViolation", "runsFailed", "runsSession", "runsBuild"];
+
+function clearRunsFilter() {
+  for (const id of [...RUNS_FILTER_TEXT, ...RUNS_FILTER_SELECTS]) $(id).value = "";
+  onRunsFilterChange();
+}
+
+// Keeps the chosen session when the list is rebuilt, unless it is gone.
+function renderRunsSessionFilter(book) {
+  const sel = $("runsSession");
+  const was = sel.value;
+  sel.innerHTML = "";
+  for (const [value, text] of [["", "Any"], ["none", "No session"], ...book.sessions.map(s => [s.id, sessionLabel(s.id)])]) {
+    const o = document.createElement("option");
+    o.value = value;
+    o.textContent = text;
+    sel.appendChild(o);
   }
-  download(`scrambler_chart_${mode}_${currentUser}.csv`, toCSV(rows, headers), "text/csv");
+  sel.value = [...sel.options].some(o => o.value === was) ? was : "";
 }
 
-// ---------- Runs table ----------
 function renderRunsTable() {
   const tbody = $("runsTable").querySelector("tbody");
   tbody.innerHTML = "";
 
-  const runs = getUserRuns(currentUser).slice().sort((a,b) => b.createdAt.localeCompare(a.createdAt));
+  for (const th of $("runsTable").querySelectorAll("th[data-sort]")) {
+    const on = th.dataset.sort === runsView.sortKey;
+    th.classList.toggle("sorted", on);
+    th.dataset.dir = on ? (runsView.sortDir > 0 ? "asc" : "desc") : "";
+  }
+
+  const total = getUserRuns(currentUser).length;
+  const matching = sortRuns(filteredRuns());
+  const size = Number($("runsPageSize").value) || matching.length || 1;
+  const pages = Math.max(1, Math.ceil(matching.length / size));
+  runsView.page = Math.min(runsView.page, pages - 1);
+  const start = runsView.page * size;
+  const runs = matching.slice(start, start + size);
+
+  $("runsPageInfo").textContent = !matching.length
+    ? (total ? `No runs match the filter (${total} saved).` : "No saved runs yet.")
+    : `Showing ${start + 1}–${start + runs.length} of ${matching.length}` +
+      (matching.length < total ? ` matching (${total} saved)` : "") +
+      (pages > 1 ? ` • page ${runsView.page + 1} of ${pages}` : "");
+  $("btnRunsPrev").disabled = runsView.page === 0;
+  $("btnRunsNext").disabled = runsView.page >= pages - 1;
 
   for (const r of runs) {
     const tr = document.createElement("tr");
@@ -441,8 +2353,9 @@ function renderRunsTable() {
 
     const cells = [
       dateStr,
+      getRuleset(r.rulesetId).name,
       r.targetDistanceM || "",
-      r.vehicleDistanceCm,
+      r.vehicleDistanceCm + (r.distanceSide ? ` (${r.distanceSide})` : ""),
       r.time1 ?? "", r.time2 ?? "", r.time3 ?? "",
       Number(r.timeAvg ?? 0).toFixed(2),
       r.bucketBonus ? "Y" : "N",
@@ -453,6 +2366,8 @@ function renderRunsTable() {
       r.dialTurns || "",
       r.winds || "",
       Number(r.score).toFixed(2),
+      r.revisionId ? buildLabel(r.revisionId) : "",
+      r.sessionId ? sessionLabel(r.sessionId) : "",
       r.notes || ""
     ];
 
@@ -461,8 +2376,18 @@ function renderRunsTable() {
       td.textContent = c;
       tr.appendChild(td);
     }
+    const conditions = describeConditions({ ...r, tags: r.tags || [] });
+    if (conditions) tr.children[cells.length - 2].title = conditions;
+
+    if (r.id === editingRunId) tr.className = "editing";
 
     const tdDel = document.createElement("td");
+    const edit = document.createElement("button");
+    edit.className = "secondary";
+    edit.textContent = "Edit";
+    edit.addEventListener("click", () => startRunEdit(r.id));
+    tdDel.appendChild(edit);
+
     const btn = document.createElement("button");
     btn.className = "danger";
     btn.textContent = "Delete";
@@ -474,345 +2399,2383 @@ function renderRunsTable() {
   }
 }
 
-// ---------- Practice Summary ----------
-function approxEq(a,b,t) { return Math.abs(a-b) <= t; }
-function trackKey(m) {
-  const mm = Number(m);
-  if (!Number.isFinite(mm) || mm === 0) return "(blank)";
-  return mm.toFixed(2);
-}
-function setupKey(r) {
-  const a = Number(r.carAngleDeg || 0).toFixed(1);
-  const t = Number(r.dialTurns || 0).toFixed(2);
-  const w = Number(r.winds || 0).toFixed(0);
-  return `${a}° | ${t} turns | ${w} winds`;
+// ---------- Practice Summary ----------
+// Per track group: score spread, distance error and time for all runs, then each
+// setup ranked by the chosen criterion (lower is better, like the score). Failed
+// runs count toward scores and the failure rate but not distance or time, which
+// a failed run does not measure. Outliers are Tukey's (beyond 1.5 × IQR of the
+// setup's scores, from 4 runs up); they are flagged, not dropped.
+const SUMMARY_RANKINGS = {
+  mean: { label: "Mean score", value: (s) => s.mean },
+  median: { label: "Median score", value: (s) => s.median },
+  worst: { label: "Worst-case score", value: (s) => s.max }
+};
+
+function approxEq(a,b,t) { return Math.abs(a-b) <= t; }
+function trackKey(m) {
+  const mm = Number(m);
+  if (!Number.isFinite(mm) || mm === 0) return "(blank)";
+  return mm.toFixed(2);
+}
+function setupKey(r) {
+  const a = Number(r.carAngleDeg || 0).toFixed(1);
+  const t = Number(r.dialTurns || 0).toFixed(2);
+  const w = Number(r.winds || 0).toFixed(0);
+  return `${a}° | ${t} turns | ${w} winds`;
+}
+
+function quantile(sorted, p) {
+  const i = (sorted.length - 1) * p;
+  const lo = Math.floor(i);
+  return sorted[lo] + (sorted[Math.ceil(i)] - sorted[lo]) * (i - lo);
+}
+
+// n, mean, median, sample sd, min, max and the 95% CI of the mean (t-based).
+function sampleStats(values) {
+  const xs = values.filter(Number.isFinite);
+  const n = xs.length;
+  if (!n) return { n: 0, mean: NaN, median: NaN, sd: NaN, min: NaN, max: NaN, ciLow: NaN, ciHigh: NaN };
+  const sorted = xs.slice().sort((a, b) => a - b);
+  const mean = xs.reduce((p, c) => p + c, 0) / n;
+  const sd = n > 1 ? Math.sqrt(xs.reduce((p, c) => p + (c - mean) ** 2, 0) / (n - 1)) : NaN;
+  const half = n > 1 ? tCrit95(n - 1) * sd / Math.sqrt(n) : NaN;
+  return { n, mean, median: quantile(sorted, 0.5), sd, min: sorted[0], max: sorted[n - 1], ciLow: mean - half, ciHigh: mean + half };
+}
+
+function tukeyOutliers(values) {
+  const xs = values.filter(Number.isFinite);
+  if (xs.length < 4) return [];
+  const sorted = xs.slice().sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25), q3 = quantile(sorted, 0.75);
+  const k = 1.5 * (q3 - q1);
+  return xs.filter(v => v < q1 - k || v > q3 + k);
+}
+
+// Signed distance error in cm: + past the target, − short; null if the side is unknown.
+function signedErrorCm(r) {
+  if (r.distanceSide === "past") return num(r.vehicleDistanceCm);
+  if (r.distanceSide === "short") return -num(r.vehicleDistanceCm);
+  return null;
+}
+
+function groupStats(rs) {
+  const measured = rs.filter(r => !r.failedRun);
+  const signed = measured.map(signedErrorCm).filter(v => v !== null);
+  const scores = rs.map(r => Number(r.score));
+  return {
+    score: sampleStats(scores),
+    failRate: rs.length ? rs.filter(r => r.failedRun).length / rs.length : NaN,
+    distErr: sampleStats(measured.map(r => num(r.vehicleDistanceCm))),
+    bias: signed.length ? signed.reduce((p, c) => p + c, 0) / signed.length : NaN,
+    time: sampleStats(measured.map(r => Number(r.timeAvg))),
+    outliers: tukeyOutliers(scores)
+  };
+}
+
+function fmt2(x) { return Number.isFinite(x) ? round2(x).toFixed(2) : "—"; }
+function fmtSpread(s) { return s.n ? `${fmt2(s.mean)} ± ${fmt2(s.sd)}` : "—"; }
+function fmtCI(s) { return Number.isFinite(s.ciLow) ? `${fmt2(s.ciLow)} – ${fmt2(s.ciHigh)}` : "—"; }
+function csvNum(x) { return Number.isFinite(x) ? round2(x) : ""; }
+function fmtPct(x) { return Number.isFinite(x) ? `${Math.round(x * 100)}%` : "—"; }
+
+function summaryRow(tbody, cells) {
+  const tr = document.createElement("tr");
+  for (const c of cells) {
+    const td = document.createElement("td");
+    td.textContent = c;
+    tr.appendChild(td);
+  }
+  tbody.appendChild(tr);
+}
+
+// Change in mean from `a` to `b` (sampleStats) with a Welch 95% CI; null
+// without two runs on each side.
+function welchDiff(a, b) {
+  if (a.n < 2 || b.n < 2) return null;
+  const va = a.sd ** 2 / a.n, vb = b.sd ** 2 / b.n;
+  const diff = b.mean - a.mean;
+  if (va + vb === 0) return { diff, low: diff, high: diff };
+  const df = (va + vb) ** 2 / (va ** 2 / (a.n - 1) + vb ** 2 / (b.n - 1));
+  const half = tCrit95(Math.floor(df)) * Math.sqrt(va + vb);
+  return { diff, low: diff - half, high: diff + half };
+}
+
+// Per track and vehicle, each revision (oldest first) against the one before.
+function renderBuildComparison(runs) {
+  const tbody = $("buildCompareTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  const book = getPracticeBook(currentUser);
+  const groups = new Map();
+  for (const r of runs) {
+    const b = r.revisionId && findBuild(r.revisionId, book);
+    if (!b) continue;
+    const k = `${trackKey(r.targetDistanceM)}|${b.vehicle.id}`;
+    if (!groups.has(k)) groups.set(k, { track: trackKey(r.targetDistanceM), vehicle: b.vehicle, runs: [] });
+    groups.get(k).runs.push(r);
+  }
+
+  const keys = [...groups.keys()].sort((a, b) => {
+    const ga = groups.get(a), gb = groups.get(b);
+    return (ga.track === "(blank)") - (gb.track === "(blank)") || Number(ga.track) - Number(gb.track) || ga.vehicle.name.localeCompare(gb.vehicle.name);
+  });
+  for (const k of keys) {
+    const g = groups.get(k);
+    let prev = null;
+    for (const x of sortedRevisions(g.vehicle)) {
+      const rs = g.runs.filter(r => r.revisionId === x.id);
+      if (!rs.length) continue;
+      const st = groupStats(rs);
+      const d = prev && welchDiff(prev.score, st.score);
+      const verdict = !prev ? "first revision on this track"
+        : !d ? "need 2+ runs on each"
+        : d.high < 0 ? "better"
+        : d.low > 0 ? "worse"
+        : "no clear change";
+      summaryRow(tbody, [
+        g.track,
+        g.vehicle.name,
+        x.date ? `${x.name} (${x.date})` : x.name,
+        st.score.n,
+        fmt2(st.score.mean),
+        fmt2(st.score.sd),
+        fmtPct(st.failRate),
+        d ? `${d.diff < 0 ? "−" : "+"}${fmt2(Math.abs(d.diff))} (${fmt2(d.low)} – ${fmt2(d.high)})` : "—",
+        prev ? `${fmt2(prev.score.sd)} → ${fmt2(st.score.sd)}` : "—",
+        verdict
+      ]);
+      prev = st;
+    }
+  }
+  if (!tbody.children.length) {
+    summaryRow(tbody, ["No runs with a build in this view."]);
+    tbody.firstChild.firstChild.colSpan = 10;
+  }
+}
+
+function renderPracticeSummary() {
+  const tbody = $("practiceTable").querySelector("tbody");
+  const setupBody = $("setupStatsTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  setupBody.innerHTML = "";
+  const msg = $("practiceMsg");
+
+  const targetStr = $("filterTrackM").value.trim();
+  const tolStr = $("filterToleranceM").value.trim();
+  const tol = tolStr ? num(tolStr) : null;
+  const rankBy = SUMMARY_RANKINGS[$("summaryRankBy").value] || SUMMARY_RANKINGS.mean;
+  $("setupStatsTitle").textContent = `Setups ranked by ${rankBy.label.toLowerCase()}`;
+
+  const groupBy = $("summaryGroupBy").value;
+  let runs = $("runsFilterSummary").checked ? filteredRuns() : getUserRuns(currentUser);
+
+  if (targetStr) {
+    const t = num(targetStr);
+    if (tol !== null && tol > 0) runs = runs.filter(r => Number.isFinite(r.targetDistanceM) && approxEq(num(r.targetDistanceM), t, tol));
+    else runs = runs.filter(r => Number.isFinite(r.targetDistanceM) && approxEq(num(r.targetDistanceM), t, 0.005));
+  }
+
+  renderBuildComparison(runs);
+  if (!runs.length) {
+    showMsg(msg, "No runs match this filter.");
+    window.__practiceSummary = [];
+    return;
+  }
+  showMsg(msg, `Showing ${runs.length} run(s).`);
+
+  // Track groups, split again by a session condition when one is chosen (a run
+  // with several tags counts in each tag's group).
+  const groups = new Map();
+  for (const r of runs) {
+    const track = trackKey(r.targetDistanceM);
+    for (const cond of groupBy ? groupingKeys(r, groupBy) : [""]) {
+      const k = cond ? `${track} · ${cond}` : track;
+      if (!groups.has(k)) groups.set(k, { track, cond, runs: [] });
+      groups.get(k).runs.push(r);
+    }
+  }
+
+  const keys = [...groups.keys()].sort((a,b) => {
+    const ga = groups.get(a), gb = groups.get(b);
+    if (ga.track !== gb.track) {
+      if (ga.track === "(blank)") return 1;
+      if (gb.track === "(blank)") return -1;
+      return Number(ga.track) - Number(gb.track);
+    }
+    return ga.cond.localeCompare(gb.cond);
+  });
+
+  const summary = [];
+  const csvRow = (g, setup, rank, st, extra = {}) => ({
+    trackGroupM: g.track,
+    ...(groupBy ? { [groupBy]: g.cond } : {}),
+    setup,
+    rank,
+    runsCount: st.score.n,
+    avgScore: csvNum(st.score.mean),
+    medianScore: csvNum(st.score.median),
+    sdScore: csvNum(st.score.sd),
+    ci95Low: csvNum(st.score.ciLow),
+    ci95High: csvNum(st.score.ciHigh),
+    bestScore: csvNum(st.score.min),
+    worstScore: csvNum(st.score.max),
+    failureRate: csvNum(st.failRate),
+    distErrMeanCm: csvNum(st.distErr.mean),
+    distErrSdCm: csvNum(st.distErr.sd),
+    distBiasCm: csvNum(st.bias),
+    timeAvgMeanS: csvNum(st.time.mean),
+    timeAvgSdS: csvNum(st.time.sd),
+    outlierScores: st.outliers.map(fmt2).join(" "),
+    bestSetupByRanking: "",
+    bestSetupBySingle: "",
+    ...extra
+  });
+
+  for (const k of keys) {
+    const g = groups.get(k);
+    const rs = g.runs;
+    const all = groupStats(rs);
+
+    const bySetup = new Map();
+    for (const r of rs) {
+      const sk = setupKey(r);
+      if (!bySetup.has(sk)) bySetup.set(sk, []);
+      bySetup.get(sk).push(r);
+    }
+
+    const setups = [...bySetup.entries()]
+      .map(([sk, sRuns]) => ({ sk, st: groupStats(sRuns) }))
+      .filter(s => s.st.score.n)
+      .sort((a, b) => rankBy.value(a.st.score) - rankBy.value(b.st.score));
+    const top = setups[0];
+    const single = setups.slice().sort((a, b) => a.st.score.min - b.st.score.min)[0];
+    const bestSetupRanked = top ? `${top.sk} (${rankBy.label.toLowerCase()} ${fmt2(rankBy.value(top.st.score))}; n=${top.st.score.n})` : "";
+    const bestSetupSingle = single ? `${single.sk} (best ${fmt2(single.st.score.min)})` : "";
+
+    summaryRow(tbody, [
+      k,
+      all.score.n,
+      fmt2(all.score.mean),
+      fmt2(all.score.median),
+      fmt2(all.score.sd),
+      fmtCI(all.score),
+      fmt2(all.score.min),
+      fmtPct(all.failRate),
+      fmtSpread(all.distErr),
+      fmtSpread(all.time),
+      bestSetupRanked,
+      bestSetupSingle
+    ]);
+    summary.push(csvRow(g, "(all setups)", "", all, { bestSetupByRanking: bestSetupRanked, bestSetupBySingle: bestSetupSingle }));
+
+    setups.forEach(({ sk, st }, i) => {
+      summaryRow(setupBody, [
+        k,
+        i + 1,
+        sk,
+        st.score.n,
+        fmt2(rankBy.value(st.score)),
+        fmt2(st.score.mean),
+        fmt2(st.score.median),
+        fmt2(st.score.max),
+        fmt2(st.score.sd),
+        fmtCI(st.score),
+        fmtPct(st.failRate),
+        fmtSpread(st.distErr),
+        Number.isFinite(st.bias) ? (st.bias < 0 ? "−" : "+") + fmt2(Math.abs(st.bias)) : "—",
+        fmtSpread(st.time),
+        st.outliers.length ? st.outliers.map(fmt2).join(", ") : ""
+      ]);
+      summary.push(csvRow(g, sk, i + 1, st));
+    });
+  }
+
+  window.__practiceSummary = summary;
+}
+
+function exportPracticeSummaryCSV() {
+  const rows = window.__practiceSummary || [];
+  if (!rows.length) return showMsg($("practiceMsg"), "Nothing to export yet. Click Apply first.", true);
+  download(`scrambler_practice_summary_${currentUser}.csv`, toCSV(rows, Object.keys(rows[0])), "text/csv");
+}
+
+// ---------- Setup recommender ----------
+// The model and its statistics are in recommender.mjs.
+function renderRecommendation() {
+  const msg = $("recommendMsg");
+  const optBody = $("recommendTable").querySelector("tbody");
+  const runBody = $("recommendRunsTable").querySelector("tbody");
+  optBody.innerHTML = "";
+  runBody.innerHTML = "";
+  $("recommendModel").textContent = "";
+
+  const targetM = num($("recommendTargetM").value);
+  if (targetM <= 0) return showMsg(msg, "Enter the target distance in meters.", true);
+
+  const rec = recommendSetup(getUserRuns(currentUser), targetM);
+  if (rec.error) return showMsg(msg, rec.error, true);
+  if (!rec.options.length) return showMsg(msg, "No positive dial-turn setting reaches that target with this model.", true);
+
+  const [a, b, c] = rec.fit.coef.map(v => round2(v));
+  $("recommendModel").textContent =
+    `Model: travel ≈ ${a} + ${b}×turns${rec.withWinds ? ` + ${c}×winds` : ""} cm • ` +
+    `residual σ ${round2(rec.fit.sigma)} cm • R² ${Number.isFinite(rec.fit.r2) ? rec.fit.r2.toFixed(3) : "—"} • n = ${rec.used.length}`;
+
+  rec.options.forEach((o, i) => {
+    const tr = document.createElement("tr");
+    if (i === 0) tr.className = "best";
+    const cells = [
+      i === 0 ? "★" : "",
+      rec.withWinds ? o.winds : `${o.winds} (all runs)`,
+      o.dialTurns.toFixed(2),
+      `${round2(o.predictedCm / 100).toFixed(2)} m`,
+      `± ${round2(o.bandCm)} cm`,
+      o.runsAtWinds,
+      o.extrapolated ? "Outside tested turns — verify on a practice run" : ""
+    ];
+    for (const v of cells) {
+      const td = document.createElement("td");
+      td.textContent = v;
+      tr.appendChild(td);
+    }
+    optBody.appendChild(tr);
+  });
+
+  const sorted = rec.used.map((r, i) => ({ r, resid: rec.fit.resid[i] }))
+    .sort((p, q) => Math.abs(travelledCm(p.r) - rec.goal) - Math.abs(travelledCm(q.r) - rec.goal));
+  for (const { r, resid } of sorted) {
+    const tr = document.createElement("tr");
+    const cells = [
+      new Date(r.createdAt).toLocaleString(),
+      r.targetDistanceM,
+      `${r.vehicleDistanceCm}${r.distanceSide ? ` ${r.distanceSide}` : ""}`,
+      r.dialTurns,
+      r.winds || "",
+      round2(travelledCm(r)),
+      round2(resid)
+    ];
+    for (const v of cells) {
+      const td = document.createElement("td");
+      td.textContent = v;
+      tr.appendChild(td);
+    }
+    runBody.appendChild(tr);
+  }
+
+  const skipped = getUserRuns(currentUser).length - rec.used.length;
+  showMsg(msg, `Based on ${rec.used.length} run(s)` + (skipped ? `; ${skipped} skipped (failed, no track/turns, or distance/stopping side not recorded).` : "."));
+}
+
+// ---------- Meet ----------
+// Stored per user as a meet book { activeId, meets: [...], trash: [...] }; the Meet
+// tab edits the active meet and `trash` keeps removed teams and deleted meets.
+// Older data held a single table per user, either as the bare rows array
+// (always scored with 2026 Div B) or as { rulesetId, tieBreaks, rows }; it
+// becomes the first meet of the book when moved into IndexedDB.
+let meetUnlocked = false;
+
+function normalizeMeet(m) {
+  return {
+    id: uid(),
+    name: "Meet",
+    date: "",
+    archived: false,
+    createdAt: new Date().toISOString(),
+    rulesetId: DEFAULT_RULESET_ID,
+    tieBreaks: DEFAULT_TIE_BREAKS.slice(),
+    rows: [],
+    log: [],
+    ...m
+  };
+}
+
+function normalizeMeetBook(raw) {
+  if (raw && Array.isArray(raw.meets)) {
+    return {
+      activeId: raw.activeId ?? null,
+      meets: raw.meets.map(normalizeMeet),
+      trash: Array.isArray(raw.trash) ? raw.trash : []
+    };
+  }
+  if (!raw) return { activeId: null, meets: [], trash: [] };
+  const first = normalizeMeet({ name: "Meet 1", ...(Array.isArray(raw) ? { rows: raw } : raw) });
+  return { activeId: first.id, meets: [first], trash: [] };
+}
+
+function getMeetBook(user) { return normalizeMeetBook(getStoredMeetBook(user)); }
+
+// Meet edits go through here so they can be undone. A `label` makes the change a
+// step of its own; unlabelled edits (typing in the table) merge while they keep coming.
+// `typed` marks a keystroke in a text or number field, for the change log.
+function setMeetBook(user, book, label = "", typed = false) {
+  const before = getStoredMeetBook(user);
+  auditMeetBook(before, book, "", typed);
+  putMeetBook(user, book);
+  // Undoing the very first write would delete the book, change log and all,
+  // so that one is not an undo step.
+  if (user !== currentUser || before === undefined) return;
+  const active = book.meets.find(m => m.id === book.activeId);
+  recordMeetChange(label || `Edit ${active ? active.name : "meet"}`, before, structuredClone(book), !label);
+}
+
+// The active meet; a user with no meets yet gets an empty "Meet 1".
+function getMeet(user) {
+  const book = getMeetBook(user);
+  let meet = book.meets.find(m => m.id === book.activeId) || book.meets[0];
+  if (!meet) {
+    meet = normalizeMeet({ name: "Meet 1" });
+    book.meets.push(meet);
+  }
+  if (book.activeId !== meet.id) {
+    book.activeId = meet.id;
+    putMeetBook(user, book);
+  }
+  return meet;
+}
+function setMeet(user, meet, label, typed) {
+  const book = getMeetBook(user);
+  const idx = book.meets.findIndex(m => m.id === meet.id);
+  if (idx >= 0) book.meets[idx] = meet;
+  else book.meets.push(meet);
+  setMeetBook(user, book, label, typed);
+}
+
+function getMeetRows(user) { return getMeet(user).rows; }
+function setMeetRows(user, rows, label, typed) { setMeet(user, { ...getMeet(user), rows }, label, typed); }
+
+function meetRuleset(meet = getMeet(currentUser)) { return getRuleset(meet.rulesetId); }
+
+// Archived meets are read-only until unlocked for this visit to the tab.
+function meetReadOnly(meet = getMeet(currentUser)) { return meet.archived && !meetUnlocked; }
+
+function createMeet() {
+  const book = getMeetBook(currentUser);
+  const prev = getMeet(currentUser);
+  const meet = normalizeMeet({
+    name: `Meet ${book.meets.length + 1}`,
+    date: new Date().toISOString().slice(0, 10),
+    rulesetId: prev.rulesetId,
+    tieBreaks: prev.tieBreaks.slice()
+  });
+  book.meets.push(meet);
+  book.activeId = meet.id;
+  setMeetBook(currentUser, book, `Create ${meet.name}`);
+  meetUnlocked = false;
+  renderMeet();
+  showMsg($("meetMsg"), `Created ${meet.name}.`);
+}
+
+// Switching meets is navigation, not an edit, so it stays out of the undo history.
+function switchMeet(id) {
+  const book = getMeetBook(currentUser);
+  if (!book.meets.some(m => m.id === id)) return;
+  book.activeId = id;
+  putMeetBook(currentUser, book);
+  meetUnlocked = false;
+  renderMeet();
+}
+
+// Moves the active meet to the trash and opens the next one (or a fresh "Meet 1").
+function deleteMeet() {
+  if (meetReadOnly()) return;
+  const meet = getMeet(currentUser);
+  const book = getMeetBook(currentUser);
+  book.meets = book.meets.filter(m => m.id !== meet.id);
+  book.trash.push({ id: uid(), kind: "meet", deletedAt: new Date().toISOString(), item: meet });
+  book.activeId = book.meets.length ? book.meets[book.meets.length - 1].id : null;
+  setMeetBook(currentUser, book, `Delete ${meet.name}`);
+  meetUnlocked = false;
+  renderMeet();
+  renderTrash();
+  showMsg($("meetMsg"), `Moved ${meet.name} to the trash (Data tab).`);
+}
+
+function updateMeetInfo(patch) {
+  setMeet(currentUser, { ...getMeet(currentUser), ...patch });
+  renderMeetList();
+  renderMeetLog();
+}
+
+function setMeetArchived(archived) {
+  const meet = getMeet(currentUser);
+  setMeet(currentUser, { ...meet, archived }, `${archived ? "Archive" : "Reopen"} ${meet.name}`);
+  meetUnlocked = false;
+  renderMeet();
+  showMsg($("meetMsg"), archived ? `Archived ${meet.name}; it is now read-only.` : `${meet.name} is active again.`);
+}
+
+function renderMeetList() {
+  const book = getMeetBook(currentUser);
+  const active = getMeet(currentUser);
+  const readOnly = meetReadOnly(active);
+
+  const sel = $("meetSelect");
+  sel.innerHTML = "";
+  for (const m of book.meets) {
+    const o = document.createElement("option");
+    o.value = m.id;
+    o.textContent = `${m.name}${m.date ? ` (${m.date})` : ""}${m.archived ? " — archived" : ""}`;
+    sel.appendChild(o);
+  }
+  sel.value = active.id;
+
+  $("meetName").value = active.name;
+  $("meetDate").value = active.date;
+  $("meetName").disabled = readOnly;
+  $("meetDate").disabled = readOnly;
+  $("btnArchiveMeet").textContent = active.archived ? "Unarchive" : "Archive";
+  $("meetUnlockRow").classList.toggle("hidden", !active.archived);
+  $("meetUnlock").checked = meetUnlocked;
+
+  const tbody = $("meetsTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  const sorted = book.meets.slice().sort((a, b) => (b.date || b.createdAt).localeCompare(a.date || a.createdAt));
+  for (const m of sorted) {
+    const tr = document.createElement("tr");
+    const cells = [m.name, m.date || "", m.rows.length, getRuleset(m.rulesetId).name, m.archived ? "Archived" : "Open"];
+    for (const c of cells) {
+      const td = document.createElement("td");
+      td.textContent = c;
+      tr.appendChild(td);
+    }
+    const td = document.createElement("td");
+    if (m.id !== active.id) {
+      const open = document.createElement("button");
+      open.className = "secondary";
+      open.textContent = "Open";
+      open.addEventListener("click", () => switchMeet(m.id));
+      td.appendChild(open);
+    }
+    const exp = document.createElement("button");
+    exp.className = "secondary";
+    exp.textContent = "Export CSV";
+    exp.addEventListener("click", () => exportMeetCSV(m));
+    td.appendChild(exp);
+    const expLog = document.createElement("button");
+    expLog.className = "secondary";
+    expLog.textContent = "Export log";
+    expLog.addEventListener("click", () => exportMeetLogCSV(m));
+    td.appendChild(expLog);
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  }
+}
+
+function setMeetRuleset(id) {
+  setMeet(currentUser, { ...getMeet(currentUser), rulesetId: id }, "Change scoring rules");
+  renderMeet();
+  showMsg($("meetMsg"), `Meet now scored with ${getRuleset(id).name}.`);
+}
+
+function fmtScore(x) { return x == null ? "—" : x.toFixed(2); }
+
+// ---------- Meet standings ----------
+function ordinal(n) {
+  const s = ["th", "st", "nd", "rd"], v = n % 100;
+  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+}
+
+function setMeetTieBreaks() {
+  const tieBreaks = [1, 2, 3].map(i => $(`meetTieBreak${i}`).value).filter(Boolean);
+  setMeet(currentUser, { ...getMeet(currentUser), tieBreaks }, "Change tie-breaks");
+  renderMeet();
+}
+
+function fillTieBreakSelects(tieBreaks) {
+  [1, 2, 3].forEach((i) => {
+    const sel = $(`meetTieBreak${i}`);
+    sel.innerHTML = "";
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = "(none)";
+    sel.appendChild(none);
+    for (const [k, tb] of Object.entries(TIE_BREAKS)) {
+      const o = document.createElement("option");
+      o.value = k;
+      o.textContent = tb.label;
+      sel.appendChild(o);
+    }
+    sel.value = tieBreaks[i - 1] || "";
+  });
+}
+
+function renderStandings(standings) {
+  const tbody = $("standingsTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  for (const e of standings) {
+    const tr = document.createElement("tr");
+    const cells = [
+      ordinal(e.place),
+      teamLabel(e.row),
+      TIERS[e.tier],
+      fmtScore(e.res.final),
+      e.res.bestRun ? `${fmtScore(e.res.bestOf2)} (run ${e.res.bestRun})` : "—",
+      fmtScore(e.res.otherScore),
+      e.res.bestDistCm ?? "—",
+      fmtScore(e.res.bestTimeAvg)
+    ];
+    for (const c of cells) {
+      const td = document.createElement("td");
+      td.textContent = c;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+function applyMeetRulesetLabels(rules) {
+  const pen = rules.notImpoundedPenalty;
+  $("meetImpoundHead").textContent = `Not Impounded (${fmtSigned(pen)})`;
+  $("meetRulesNote").textContent =
+    `Meet picks best-of-2 (lower) and adds ${fmtSigned(pen)} if Not Impounded. Scored with ${rules.name}.`;
+}
+
+// Per team row id: the cells renderMeet built, for in-place updates.
+const meetRowViews = new Map();
+
+function renderMeet() {
+  const tbody = $("meetTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  const meet = getMeet(currentUser);
+  const rows = meet.rows;
+  const rules = meetRuleset(meet);
+  const readOnly = meetReadOnly(meet);
+
+  renderMeetList();
+  renderCheckIn();
+  renderMeetLog(meet);
+  renderStopwatchTargets(rows);
+  renderTeamClocks(meet);
+  fillRulesetSelect($("meetRuleset"), rules.id);
+  fillTieBreakSelects(meet.tieBreaks);
+  applyMeetRulesetLabels(rules);
+  ["meetRuleset", "meetTieBreak1", "meetTieBreak2", "meetTieBreak3", "btnAddTeam", "btnClearMeet", "btnDeleteMeet"]
+    .forEach(id => { $(id).disabled = readOnly; });
+
+  const standings = computeStandings(rows, rules, meet.tieBreaks);
+  renderStandings(standings);
+
+  meetRowViews.clear();
+  for (const row of rows) {
+    const tr = document.createElement("tr");
+    tr.dataset.rowId = row.id;
+    // Computed cells and run controls, kept so edits can refresh them in place.
+    const view = { runs: [], best: null, final: null, place: null, controls: [] };
+    meetRowViews.set(row.id, view);
+
+    // Every control writes through editMeetRow, then refreshes this row only.
+    const edit = (fn, typed = false) => { editMeetRow(row.id, fn, typed); refreshMeetRow(row.id); };
+
+    const makeNum = (val, cls, nav, onChange) => {
+      const inp = document.createElement("input");
+      inp.type = "number";
+      inp.step = "0.01";
+      inp.className = cls || "";
+      inp.value = val ?? "";
+      inp.dataset.nav = nav;
+      inp.addEventListener("input", () => onChange(inp.value));
+      view.controls.push({ el: inp, off: false });
+      return inp;
+    };
+    const makeChk = (checked, onChange, disabled = false) => {
+      const inp = document.createElement("input");
+      inp.type = "checkbox";
+      inp.checked = !!checked;
+      inp.addEventListener("change", () => onChange(inp.checked));
+      view.controls.push({ el: inp, off: disabled });
+      return inp;
+    };
+
+    // Team: number, name, school
+    const tdTeam = document.createElement("td");
+    tdTeam.className = "teamCell";
+    for (const [key, placeholder, cls] of [["teamNumber", "#", "micro"], ["team", "Team", ""], ["school", "School", "small"]]) {
+      const inp = document.createElement("input");
+      inp.value = row[key] || "";
+      inp.placeholder = placeholder;
+      inp.className = cls;
+      inp.disabled = readOnly;
+      inp.dataset.nav = key;
+      inp.addEventListener("input", () => { editMeetRow(row.id, r => { r[key] = inp.value; }, true); renderMeetLog(); });
+      inp.addEventListener("change", () => { refreshMeetRow(row.id); renderStopwatchTargets(getMeetRows(currentUser)); });
+      tdTeam.appendChild(inp);
+    }
+    tr.appendChild(tdTeam);
+
+    const makeStatus = (runKey) => {
+      const sel = document.createElement("select");
+      sel.className = "mini";
+      for (const [k, label] of Object.entries(RUN_STATUSES)) {
+        const o = document.createElement("option");
+        o.value = k;
+        o.textContent = label;
+        sel.appendChild(o);
+      }
+      sel.value = runStatus(row[runKey]);
+      sel.addEventListener("change", () => edit(r => { r[runKey].status = sel.value; }));
+      view.controls.push({ el: sel, off: false });
+      return sel;
+    };
+
+    function addRunCells(runKey) {
+      const runObj = row[runKey];
+      const cells = {};
+
+      // Status
+      let td = document.createElement("td");
+      td.appendChild(makeStatus(runKey));
+      tr.appendChild(td);
+
+      // Dist
+      td = document.createElement("td");
+      td.appendChild(makeNum(runObj.vehicleDistanceCm, "mini", `${runKey}.vehicleDistanceCm`, v => edit(r => { r[runKey].vehicleDistanceCm = v; }, true)));
+      tr.appendChild(td);
+
+      // t1,t2,t3
+      ["time1","time2","time3"].forEach((k) => {
+        td = document.createElement("td");
+        td.appendChild(makeNum(runObj[k], "micro", `${runKey}.${k}`, v => edit(r => { r[runKey][k] = v; }, true)));
+        tr.appendChild(td);
+      });
+
+      // Avg
+      cells.avg = document.createElement("td");
+      tr.appendChild(cells.avg);
+
+      // Bucket, CV, ConV
+      for (const [k, rule] of [["bucketBonus", "bucketBonus"], ["competitionViolationPoints", "competitionViolation"], ["constructionViolationPoints", "constructionViolation"]]) {
+        td = document.createElement("td");
+        td.appendChild(makeChk(runObj[k], v => edit(r => { r[runKey][k] = v; }), rules[rule] == null));
+        tr.appendChild(td);
+      }
+
+      // Score
+      cells.score = document.createElement("td");
+      tr.appendChild(cells.score);
+      view.runs.push(cells);
+    }
+
+    addRunCells("run1");
+    addRunCells("run2");
+
+    // Best-of-2
+    view.best = document.createElement("td");
+    tr.appendChild(view.best);
+
+    // Not impounded
+    let td = document.createElement("td");
+    td.appendChild(makeChk(row.notImpounded, v => edit(r => { r.notImpounded = v; })));
+    tr.appendChild(td);
+
+    // No-show (team never reported; stays editable so it can be undone)
+    td = document.createElement("td");
+    const noShow = document.createElement("input");
+    noShow.type = "checkbox";
+    noShow.checked = !!row.noShow;
+    noShow.disabled = readOnly;
+    noShow.addEventListener("change", () => edit(r => { r.noShow = noShow.checked; }));
+    td.appendChild(noShow);
+    tr.appendChild(td);
+
+    // Final
+    view.final = document.createElement("td");
+    tr.appendChild(view.final);
+
+    // Place
+    view.place = document.createElement("td");
+    tr.appendChild(view.place);
+
+    // Scoresheet + Remove
+    td = document.createElement("td");
+    const sheetBtn = document.createElement("button");
+    sheetBtn.className = "secondary";
+    sheetBtn.textContent = "Sheet";
+    sheetBtn.title = "Print this team's scoresheet";
+    sheetBtn.addEventListener("click", () => printScoresheets(row.id));
+    td.appendChild(sheetBtn);
+    const logBtn = document.createElement("button");
+    logBtn.className = "secondary";
+    logBtn.textContent = "History";
+    logBtn.title = "Show this team's change log";
+    logBtn.addEventListener("click", () => showTeamHistory(row.id));
+    td.appendChild(logBtn);
+    const btn = document.createElement("button");
+    btn.className = "danger";
+    btn.textContent = "Remove";
+    btn.disabled = readOnly;
+    btn.addEventListener("click", () => removeMeetTeam(row.id));
+    td.appendChild(btn);
+    tr.appendChild(td);
+
+    tbody.appendChild(tr);
+    fillMeetRow(view, row, rules, readOnly);
+  }
+  fillMeetPlaces(standings);
+}
+
+// Applies `fn` to the stored copy of one team row and saves it. Handlers re-read
+// the row each time so changes made elsewhere (check-in, stopwatch) are kept.
+// `typed` is for keystrokes in text and number fields (setMeetBook).
+function editMeetRow(rowId, fn, typed = false) {
+  const rows = getMeetRows(currentUser);
+  const row = rows.find(r => r.id === rowId);
+  if (!row) return;
+  fn(row);
+  setMeetRows(currentUser, rows, "", typed);
+}
+
+// Computed cells and enabled state of one rendered row.
+function fillMeetRow(view, row, rules, readOnly) {
+  const runText = (c) => {
+    if (row.noShow) return "—";
+    return c.score == null ? (c.status === "dq" ? "DQ" : "DNR") : c.score.toFixed(2);
+  };
+  [meetRunScore(row.run1, rules), meetRunScore(row.run2, rules)].forEach((c, i) => {
+    view.runs[i].avg.textContent = c.timeAvg.toFixed(2);
+    view.runs[i].score.textContent = runText(c);
+  });
+  const { bestOf2, final } = meetRowResult(row, rules);
+  view.best.textContent = fmtScore(bestOf2);
+  view.final.textContent = fmtScore(final);
+  for (const { el, off } of view.controls) el.disabled = readOnly || off || !!row.noShow;
+}
+
+function fillMeetPlaces(standings) {
+  for (const e of standings) {
+    const view = meetRowViews.get(e.row.id);
+    if (view) view.place.textContent = ordinal(e.place) + (e.tier > 1 ? ` (T${e.tier})` : "");
+  }
+}
+
+// After an edit to one row: its own cells, every row's place (one score can move
+// the others), the standings and the panels that list teams. The table itself is
+// not rebuilt, so the field being typed in keeps focus.
+function refreshMeetRow(rowId) {
+  const meet = getMeet(currentUser);
+  const rules = meetRuleset(meet);
+  const row = meet.rows.find(r => r.id === rowId);
+  const view = meetRowViews.get(rowId);
+  if (row && view) fillMeetRow(view, row, rules, meetReadOnly(meet));
+  const standings = computeStandings(meet.rows, rules, meet.tieBreaks);
+  fillMeetPlaces(standings);
+  renderStandings(standings);
+  renderCheckIn();
+  renderMeetLog(meet);
+}
+
+// Enter moves to the same field on the next team (Shift+Enter: previous team);
+// Tab moves through the entry fields across both runs and on to the next team.
+// At either end Tab is left to the browser.
+function onMeetTableKey(e) {
+  const cell = e.target.closest && e.target.closest("[data-nav]");
+  if (!cell || e.ctrlKey || e.metaKey || e.altKey || (e.key !== "Tab" && e.key !== "Enter")) return;
+  const fields = [...$("meetTable").querySelectorAll("tbody [data-nav]")].filter(el => !el.disabled);
+  const step = e.shiftKey ? -1 : 1;
+  const list = e.key === "Tab" ? fields : fields.filter(el => el.dataset.nav === cell.dataset.nav);
+  const next = list[list.indexOf(cell) + step];
+  if (!next) return;
+  e.preventDefault();
+  next.focus();
+  next.select();
+}
+
+function newMeetRun() {
+  return {
+    status: "ok",
+    vehicleDistanceCm: "",
+    time1: "", time2: "", time3: "",
+    bucketBonus: false,
+    competitionViolationPoints: false,
+    constructionViolationPoints: false
+  };
+}
+
+// A blank team row, last in the order of run.
+function newMeetRow(rows, fields = {}) {
+  return {
+    id: uid(),
+    teamNumber: "",
+    team: "",
+    school: "",
+    checkIn: "pending",
+    runOrder: rows.reduce((n, r) => Math.max(n, r.runOrder || 0), 0) + 1,
+    notImpounded: false,
+    noShow: false,
+    run1: newMeetRun(),
+    run2: newMeetRun(),
+    ...fields
+  };
+}
+
+function addMeetTeam() {
+  if (meetReadOnly()) return;
+  const rows = getMeetRows(currentUser);
+  rows.push(newMeetRow(rows));
+  setMeetRows(currentUser, rows, "Add team");
+  renderMeet();
+  showMsg($("meetMsg"), "Added team row.");
+}
+
+// Removed teams go to the meet book's trash, remembering which meet they came from.
+function trashTeams(book, meet, rows) {
+  const deletedAt = new Date().toISOString();
+  for (const row of rows) book.trash.push({ id: uid(), kind: "team", deletedAt, meetId: meet.id, item: row });
+}
+
+function removeMeetTeam(rowId) {
+  if (meetReadOnly()) return;
+  const activeId = getMeet(currentUser).id;
+  const book = getMeetBook(currentUser);
+  const meet = book.meets.find(m => m.id === activeId);
+  const row = meet.rows.find(r => r.id === rowId);
+  if (!row) return;
+  meet.rows = renumberRunOrder(meet.rows.filter(r => r.id !== rowId));
+  trashTeams(book, meet, [row]);
+  setMeetBook(currentUser, book, `Remove ${teamLabel(row)}`);
+  renderMeet();
+  renderTrash();
+  showMsg($("meetMsg"), `Moved ${teamLabel(row)} to the trash.`);
+}
+
+function clearMeet() {
+  if (meetReadOnly()) return;
+  const activeId = getMeet(currentUser).id;
+  const book = getMeetBook(currentUser);
+  const meet = book.meets.find(m => m.id === activeId);
+  if (!meet.rows.length) return;
+  trashTeams(book, meet, orderedRows(meet.rows));
+  const n = meet.rows.length;
+  meet.rows = [];
+  setMeetBook(currentUser, book, `Clear ${meet.name}`);
+  renderMeet();
+  renderTrash();
+  showMsg($("meetMsg"), `Moved ${n} team(s) to the trash.`);
+}
+
+function meetFileSlug(meet) {
+  return `${meet.name}${meet.date ? "_" + meet.date : ""}`.replace(/[^\w.-]+/g, "_");
+}
+
+function exportMeetCSV(meet = getMeet(currentUser)) {
+  const rules = meetRuleset(meet);
+  const placeOf = new Map(computeStandings(meet.rows, rules, meet.tieBreaks).map(e => [e.row.id, e]));
+  const out = meet.rows.map(row => meetCSVRecord(placeOf.get(row.id), rules));
+  download(`scrambler_meet_${currentUser}_${meetFileSlug(meet)}.csv`, toCSV(out, MEET_CSV_HEADERS), "text/csv");
+}
+
+// ---------- Meet roster & check-in ----------
+// Each team row carries a team number, school, check-in status and a place in
+// the order of run (runOrder, 1-based). Rows from before these fields existed
+// run in table order and count as not checked in.
+const CHECK_INS = {
+  pending: "Not checked in",
+  in: "Checked in",
+  done: "Finished"
+};
+
+// Roster columns, by header name; a roster without a header row is read by
+// column count (see rosterColumns).
+const ROSTER_FIELDS = [
+  { key: "teamNumber", label: "Team number", aliases: ["number", "teamnumber", "team#", "#", "no", "no.", "teamno"] },
+  { key: "school", label: "School", aliases: ["school", "schoolname", "organization"] },
+  { key: "team", label: "Team name", aliases: ["name", "team", "teamname"] }
+];
+
+function teamLabel(row, unnamed = "(unnamed)") {
+  return `${row.teamNumber ? `${row.teamNumber} ` : ""}${row.team || unnamed}`;
+}
+
+function orderedRows(rows) {
+  return rows.map((row, i) => ({ row, i }))
+    .sort((a, b) => (a.row.runOrder || Infinity) - (b.row.runOrder || Infinity) || a.i - b.i)
+    .map(({ row }) => row);
+}
+
+// Closes gaps (after a removal) and numbers old rows; returns `rows`.
+function renumberRunOrder(rows) {
+  orderedRows(rows).forEach((row, i) => { row.runOrder = i + 1; });
+  return rows;
+}
+
+function parseRoster(text) {
+  // Pasted spreadsheet cells are tab-separated; files are CSV.
+  const rows = text.includes("\t")
+    ? text.split(/\r?\n/).filter(l => l.trim()).map(l => l.split("\t"))
+    : parseCSV(text);
+  if (!rows.length) return [];
+
+  const keys = rows[0].map(headerKey);
+  const byHeader = ROSTER_FIELDS.map(f => keys.findIndex(k => f.aliases.includes(k)));
+  const hasHeader = byHeader.some(i => i >= 0);
+  const cols = hasHeader ? byHeader : rosterColumns(Math.max(...rows.map(r => r.length)));
+
+  return (hasHeader ? rows.slice(1) : rows).map(cells => {
+    const out = {};
+    ROSTER_FIELDS.forEach((f, i) => { out[f.key] = cols[i] >= 0 ? String(cells[cols[i]] ?? "").trim() : ""; });
+    return out;
+  });
+}
+
+// Without a header: name; number, name; or number, school, name.
+function rosterColumns(count) {
+  if (count >= 3) return [0, 1, 2];
+  if (count === 2) return [0, -1, 1];
+  return [-1, -1, 0];
+}
+
+// Adds each roster team; a team number already in the meet updates that row.
+function importRoster() {
+  const msg = $("rosterMsg");
+  if (meetReadOnly()) return showMsg(msg, "This meet is archived; unlock it first.", true);
+  const teams = parseRoster($("rosterText").value);
+  if (!teams.length) return showMsg(msg, "Paste a roster or choose a file first.", true);
+
+  const rows = getMeetRows(currentUser);
+  let added = 0, updated = 0, skipped = 0;
+  for (const t of teams) {
+    if (!t.teamNumber && !t.team) {
+      skipped++;
+      continue;
+    }
+    const existing = t.teamNumber && rows.find(r => String(r.teamNumber || "").toLowerCase() === t.teamNumber.toLowerCase());
+    if (existing) {
+      if (t.team) existing.team = t.team;
+      if (t.school) existing.school = t.school;
+      updated++;
+    } else {
+      rows.push(newMeetRow(rows, t));
+      added++;
+    }
+  }
+  setMeetRows(currentUser, rows, "Import roster");
+  $("rosterText").value = "";
+  $("rosterFile").value = "";
+  renderMeet();
+  showMsg(msg, `Added ${added} team(s), updated ${updated}` + (skipped ? `, skipped ${skipped} blank row(s).` : "."));
+}
+
+async function loadRosterFile() {
+  const f = $("rosterFile").files[0];
+  if (!f) return;
+  let text;
+  try { text = await f.text(); }
+  catch { return showMsg($("rosterMsg"), `Could not read ${f.name}.`, true); }
+  $("rosterText").value = text;
+  showMsg($("rosterMsg"), `Loaded ${f.name}. Check it, then Import roster.`);
+}
+
+function setCheckIn(rowId, status) {
+  const rows = getMeetRows(currentUser);
+  const row = rows.find(r => r.id === rowId);
+  if (!row) return;
+  row.checkIn = status;
+  setMeetRows(currentUser, rows, `Check-in ${teamLabel(row)}`);
+  renderCheckIn();
+  renderMeetLog();
+}
+
+function moveRunOrder(rowId, delta) {
+  const rows = renumberRunOrder(getMeetRows(currentUser));
+  const order = orderedRows(rows);
+  const i = order.findIndex(r => r.id === rowId);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= order.length) return;
+  [order[i].runOrder, order[j].runOrder] = [order[j].runOrder, order[i].runOrder];
+  setMeetRows(currentUser, rows, "Reorder run");
+  renderMeet();
+}
+
+// Teams that are checked in and have not finished, in order of run.
+function upNext(rows) {
+  return orderedRows(rows).filter(r => r.checkIn === "in" && !r.noShow);
+}
+
+function renderCheckIn() {
+  const meet = getMeet(currentUser);
+  const readOnly = meetReadOnly(meet);
+  const rows = meet.rows;
+  const order = orderedRows(rows);
+  const tbody = $("checkInTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  order.forEach((row, i) => {
+    const tr = document.createElement("tr");
+    if (row.checkIn === "done" || row.noShow) tr.className = "muted";
+    for (const c of [i + 1, row.teamNumber || "", row.team || "(unnamed)", row.school || ""]) {
+      const td = document.createElement("td");
+      td.textContent = c;
+      tr.appendChild(td);
+    }
+
+    let td = document.createElement("td");
+    if (row.noShow) {
+      td.textContent = "No show";
+    } else {
+      const sel = document.createElement("select");
+      sel.className = "mini";
+      for (const [k, label] of Object.entries(CHECK_INS)) {
+        const o = document.createElement("option");
+        o.value = k;
+        o.textContent = label;
+        sel.appendChild(o);
+      }
+      sel.value = row.checkIn || "pending";
+      sel.disabled = readOnly;
+      sel.addEventListener("change", () => setCheckIn(row.id, sel.value));
+      td.appendChild(sel);
+    }
+    tr.appendChild(td);
+
+    td = document.createElement("td");
+    for (const [text, delta, title] of [["↑", -1, "Run earlier"], ["↓", 1, "Run later"]]) {
+      const b = document.createElement("button");
+      b.className = "secondary";
+      b.textContent = text;
+      b.title = title;
+      b.disabled = readOnly || i + delta < 0 || i + delta >= order.length;
+      b.addEventListener("click", () => moveRunOrder(row.id, delta));
+      td.appendChild(b);
+    }
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  });
+
+  const next = upNext(rows);
+  const waiting = rows.filter(r => (r.checkIn || "pending") === "pending" && !r.noShow).length;
+  const done = rows.filter(r => r.checkIn === "done").length;
+  $("upNext").textContent = !rows.length ? "No teams yet."
+    : next.length
+      ? `Up next: ${teamLabel(next[0])}` + (next.length > 1 ? `. Then: ${next.slice(1, 4).map(r => teamLabel(r)).join(", ")}${next.length > 4 ? ", …" : ""}.` : ".")
+      : "Nobody checked in is waiting to run.";
+  $("checkInCounts").textContent = `${rows.length} team(s): ${next.length} checked in and waiting, ${waiting} not checked in, ${done} finished.`;
+  $("btnImportRoster").disabled = readOnly;
+}
+
+// ---------- Meet change log ----------
+// Each meet keeps an append-only `log` of who changed what: every meet-book write
+// is compared field by field with the stored copy (setMeetBook, and undo/redo,
+// which log the values they put back). Entries are only ever added; the one
+// exception is a run of keystrokes in one text or number field, which extends
+// the entry its first keystroke wrote. The log is carried over from the stored
+// book rather than taken from the incoming one, so an undo never removes entries.
+const AUDIT_MERGE_MS = 1500;
+const AUDIT_SHOW_MAX = 200;
+
+const AUDIT_MEET_FIELDS = [
+  ["name", "Meet name"],
+  ["date", "Meet date"],
+  ["rulesetId", "Ruleset", (v) => getRuleset(v).name],
+  ["tieBreaks", "Tie-breaks", (v) => (v || []).map(k => TIE_BREAKS[k]?.label || k).join(", ")],
+  ["archived", "Archived"]
+];
+
+const AUDIT_ROW_FIELDS = [
+  ["teamNumber", "Team number"],
+  ["team", "Team name"],
+  ["school", "School"],
+  ["checkIn", "Check-in", (v) => CHECK_INS[v] || v],
+  ["notImpounded", "Not impounded"],
+  ["noShow", "No-show"]
+];
+
+const AUDIT_RUN_FIELDS = [
+  ["status", "status"],
+  ["vehicleDistanceCm", "distance (cm)"],
+  ["time1", "t1"],
+  ["time2", "t2"],
+  ["time3", "t3"],
+  ["bucketBonus", "bucket bonus"],
+  ["competitionViolationPoints", "competition violation"],
+  ["constructionViolationPoints", "construction violation"]
+];
+
+function auditValue(v, show) {
+  if (show) return String(show(v) ?? "");
+  if (typeof v === "boolean") return v ? "yes" : "no";
+  return String(v ?? "");
+}
+
+function auditFields(before, after, fields, prefix = "") {
+  const out = [];
+  for (const [key, label, show] of fields) {
+    const from = auditValue(before?.[key], show), to = auditValue(after?.[key], show);
+    if (from !== to) out.push({ field: prefix + label, from, to });
+  }
+  return out;
+}
+
+// The changes between two versions of one meet, as log entries without time or user.
+function diffMeet(prev, next) {
+  const out = auditFields(prev, next, AUDIT_MEET_FIELDS).map(c => ({ teamId: "", team: "", ...c }));
+  const prevRows = new Map(prev.rows.map(r => [r.id, r]));
+  const nextIds = new Set(next.rows.map(r => r.id));
+  for (const row of next.rows) {
+    const old = prevRows.get(row.id);
+    const team = { teamId: row.id, team: teamLabel(row) };
+    if (!old) {
+      out.push({ ...team, field: "Team row", from: "", to: "added" });
+      continue;
+    }
+    const changes = [
+      ...auditFields(old, row, AUDIT_ROW_FIELDS),
+      ...auditFields(old.run1, row.run1, AUDIT_RUN_FIELDS, "Run 1 "),
+      ...auditFields(old.run2, row.run2, AUDIT_RUN_FIELDS, "Run 2 ")
+    ];
+    out.push(...changes.map(c => ({ ...team, ...c })));
+  }
+  for (const old of prev.rows) {
+    if (!nextIds.has(old.id)) out.push({ teamId: old.id, team: teamLabel(old), field: "Team row", from: "", to: "removed" });
+  }
+  return out;
+}
+
+// The entry the last keystroke wrote ({ meetId, index }), which the next
+// keystroke in the same field may extend.
+let auditTypedEntry = null;
+
+// Gives each meet in `book` the stored log plus entries for what changed.
+// `via` notes writes that were not typed directly ("undo", "redo"); `typed`
+// marks a keystroke in a text or number field.
+function auditMeetBook(stored, book, via = "", typed = false) {
+  const prevMeets = new Map(normalizeMeetBook(stored).meets.map(m => [m.id, m]));
+  const at = new Date().toISOString();
+  let typedEntry = null;
+  for (const meet of book.meets) {
+    const prev = prevMeets.get(meet.id);
+    if (!prev) continue;
+    const log = prev.log.slice();
+    for (const c of diffMeet(prev, meet)) {
+      const last = log[log.length - 1];
+      const extend = typed && auditTypedEntry?.meetId === meet.id && auditTypedEntry.index === log.length - 1
+        && last.user === currentUser && last.teamId === c.teamId && last.field === c.field
+        && Date.parse(at) - Date.parse(last.at) < AUDIT_MERGE_MS;
+      if (extend) log[log.length - 1] = { ...last, team: c.team, to: c.to, at };
+      else log.push({ at, user: currentUser, ...c, via });
+      if (typed) typedEntry = { meetId: meet.id, index: log.length - 1 };
+    }
+    meet.log = log;
+  }
+  auditTypedEntry = typedEntry;
+  return book;
+}
+
+// Teams that appear in the meet or its log (removed teams keep their entries).
+function auditTeams(meet) {
+  const teams = new Map(orderedRows(meet.rows).map(r => [r.id, teamLabel(r)]));
+  for (const e of meet.log) if (e.teamId && !teams.has(e.teamId)) teams.set(e.teamId, `${e.team} (removed)`);
+  return teams;
+}
+
+function renderMeetLog(meet = getMeet(currentUser)) {
+  const sel = $("meetLogTeam");
+  const keep = sel.value;
+  sel.innerHTML = "";
+  const options = [["", "All changes"], ["-", "Meet settings"], ...auditTeams(meet)];
+  for (const [value, text] of options) {
+    const o = document.createElement("option");
+    o.value = value;
+    o.textContent = text;
+    sel.appendChild(o);
+  }
+  sel.value = options.some(([v]) => v === keep) ? keep : "";
+
+  const pick = sel.value;
+  const entries = meet.log.filter(e => !pick || (pick === "-" ? !e.teamId : e.teamId === pick)).reverse();
+  const tbody = $("meetLogTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const e of entries.slice(0, AUDIT_SHOW_MAX)) {
+    const tr = document.createElement("tr");
+    const cells = [new Date(e.at).toLocaleString(), e.user, e.team || "(meet)", e.field, e.from, e.to + (e.via ? ` (${e.via})` : "")];
+    for (const c of cells) {
+      const td = document.createElement("td");
+      td.textContent = c;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+  showMsg($("meetLogMsg"), entries.length > AUDIT_SHOW_MAX
+    ? `Showing the latest ${AUDIT_SHOW_MAX} of ${entries.length} changes; export the log for all of them.`
+    : entries.length ? "" : "No changes recorded yet.");
+}
+
+function showTeamHistory(rowId) {
+  $("meetLogTeam").value = rowId;
+  renderMeetLog();
+  $("meetLogCard").scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+function exportMeetLogCSV(meet = getMeet(currentUser)) {
+  const out = meet.log.map(e => ({
+    at: e.at,
+    user: e.user,
+    teamId: e.teamId,
+    team: e.team,
+    field: e.field,
+    from: e.from,
+    to: e.to,
+    via: e.via || ""
+  }));
+  const headers = ["at", "user", "teamId", "team", "field", "from", "to", "via"];
+  download(`scrambler_meet_${currentUser}_${meetFileSlug(meet)}_log.csv`, toCSV(out, headers), "text/csv");
+}
+
+// ---------- Printing ----------
+// Scoresheets and the results sheet are built into #printArea, which the print
+// CSS shows in place of the app; the browser's print dialog does the rest.
+function printEl(parent, tag, text = "", cls = "") {
+  const el = document.createElement(tag);
+  if (text !== "") el.textContent = text;
+  if (cls) el.className = cls;
+  parent.appendChild(el);
+  return el;
+}
+
+function printTable(parent, headers, rows) {
+  const table = printEl(parent, "table");
+  const htr = printEl(printEl(table, "thead"), "tr");
+  for (const h of headers) printEl(htr, "th", h);
+  const tbody = printEl(table, "tbody");
+  for (const cells of rows) {
+    const tr = printEl(tbody, "tr");
+    for (const c of cells) printEl(tr, "td", String(c));
+  }
+  return table;
+}
+
+function printMeetHeading(sheet, meet, rules, title) {
+  printEl(sheet, "h1", title);
+  printEl(sheet, "p", [meet.name, meet.date, `Scored with ${rules.name}`, "lower score is better"].filter(Boolean).join(" • "), "sheetMeta");
+}
+
+function signatureLines(sheet, who) {
+  const box = printEl(sheet, "div", "", "signatures");
+  for (const label of who) {
+    const line = printEl(box, "div", "", "signature");
+    printEl(line, "span", "");
+    printEl(line, "small", `${label} — signature / date`);
+  }
+}
+
+function runSheetColumn(run, res, rules, noShow) {
+  const yesNo = (on, pts) => pts == null ? "n/a" : on ? `Yes (${fmtSigned(pts)})` : "No";
+  const time = (v) => v === "" || v == null ? "—" : String(v);
+  if (noShow) return Array(10).fill("—");
+  return [
+    RUN_STATUSES[runStatus(run)],
+    time(run.vehicleDistanceCm),
+    time(run.time1),
+    time(run.time2),
+    time(run.time3),
+    res.scored ? res.timeAvg.toFixed(2) : "—",
+    yesNo(run.bucketBonus, rules.bucketBonus),
+    yesNo(run.competitionViolationPoints, rules.competitionViolation),
+    yesNo(run.constructionViolationPoints, rules.constructionViolation),
+    res.scored ? res.total.toFixed(2) : res.status === "dq" ? "DQ" : "Not scored"
+  ];
+}
+
+function buildScoresheet(area, meet, rules, entry, teams) {
+  const { row, res } = entry;
+  const sheet = printEl(area, "section", "", "sheet");
+  printMeetHeading(sheet, meet, rules, "Scrambler Scoresheet");
+  printEl(sheet, "h2", teamLabel(row, "(unnamed team)"));
+  if (row.school) printEl(sheet, "p", row.school, "sheetMeta");
+
+  const c1 = runSheetColumn(row.run1, res.r1, rules, row.noShow);
+  const c2 = runSheetColumn(row.run2, res.r2, rules, row.noShow);
+  const labels = ["Status", "Distance to target (cm)", "Time 1 (s)", "Time 2 (s)", "Time 3 (s)", "Time used for score (s)",
+    "Bucket bonus", "Competition violation", "Construction violation", "Run score"];
+  printTable(sheet, ["", "Run 1", "Run 2"], labels.map((l, i) => [l, c1[i], c2[i]]));
+
+  const summary = [
+    ["Best of 2", res.bestRun ? `${fmtScore(res.bestOf2)} (run ${res.bestRun})` : "—"],
+    ["Impounded", row.noShow ? "—" : row.notImpounded ? `No (${fmtSigned(rules.notImpoundedPenalty)})` : "Yes"],
+    ["Final score", fmtScore(res.final)],
+    ["Place", `${ordinal(entry.place)} of ${teams}` + (entry.tier > 1 ? ` — ${TIERS[entry.tier]}` : "")]
+  ];
+  printTable(sheet, ["Result", ""], summary).classList.add("sheetSummary");
+  signatureLines(sheet, ["Team member", "Team member", "Event supervisor"]);
+}
+
+// One sheet per team, or just the team with row id `rowId`.
+function printScoresheets(rowId = null) {
+  const meet = getMeet(currentUser);
+  const rules = meetRuleset(meet);
+  const standings = computeStandings(meet.rows, rules, meet.tieBreaks);
+  const entries = meet.rows.map(row => standings.find(e => e.row === row)).filter(e => !rowId || e.row.id === rowId);
+  if (!entries.length) return showMsg($("meetMsg"), "Add a team before printing scoresheets.", true);
+
+  const area = $("printArea");
+  area.innerHTML = "";
+  for (const e of entries) buildScoresheet(area, meet, rules, e, standings.length);
+  window.print();
+}
+
+function printResults() {
+  const meet = getMeet(currentUser);
+  const rules = meetRuleset(meet);
+  const standings = computeStandings(meet.rows, rules, meet.tieBreaks);
+  if (!standings.length) return showMsg($("meetMsg"), "Add a team before printing results.", true);
+
+  const area = $("printArea");
+  area.innerHTML = "";
+  const sheet = printEl(area, "section", "", "sheet results");
+  printMeetHeading(sheet, meet, rules, "Scrambler Results");
+  const breaks = meet.tieBreaks.filter(k => TIE_BREAKS[k]).map(k => TIE_BREAKS[k].label);
+  printEl(sheet, "p", `Placed by tier, then Final, then ${breaks.length ? breaks.join(", ") : "no tie-breaks"}.`, "sheetMeta");
+  printTable(sheet, ["Place", "Team", "School", "Tier", "Final", "Best-of-2", "Other run", "Best dist cm", "Best avg time"],
+    standings.map(e => [
+      ordinal(e.place),
+      teamLabel(e.row),
+      e.row.school || "",
+      TIERS[e.tier],
+      fmtScore(e.res.final),
+      e.res.bestRun ? `${fmtScore(e.res.bestOf2)} (run ${e.res.bestRun})` : "—",
+      fmtScore(e.res.otherScore),
+      e.res.bestDistCm ?? "—",
+      fmtScore(e.res.bestTimeAvg)
+    ]));
+  signatureLines(sheet, ["Event supervisor"]);
+  printEl(sheet, "p", `Printed ${new Date().toLocaleString()}`, "sheetMeta");
+  window.print();
+}
+
+// ---------- Rules tab ----------
+function rulesetTermText(v) { return v == null ? "—" : String(v); }
+
+function renderRulesets() {
+  const tbody = $("rulesetsTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  for (const r of listRulesets()) {
+    const tr = document.createElement("tr");
+    const fr = r.failedRun;
+    const cells = [
+      r.name + (r.builtIn ? " (built-in)" : ""),
+      r.base,
+      r.distanceFactor,
+      r.timeFactor,
+      rulesetTermText(r.bucketBonus),
+      rulesetTermText(r.competitionViolation),
+      rulesetTermText(r.constructionViolation),
+      fr.mode === "fixed" ? `score ${fr.score}` : `${fr.distanceCm} cm, ${fr.timeS} s`,
+      r.didNotRun === "unscored" ? "no score" : "failed run",
+      r.notImpoundedPenalty
+    ];
+    for (const c of cells) {
+      const td = document.createElement("td");
+      td.textContent = c;
+      tr.appendChild(td);
+    }
+
+    const td = document.createElement("td");
+    const dup = document.createElement("button");
+    dup.className = "secondary";
+    dup.textContent = "Duplicate";
+    dup.addEventListener("click", () => fillRulesetForm(r));
+    td.appendChild(dup);
+    if (!r.builtIn) {
+      const del = document.createElement("button");
+      del.className = "danger";
+      del.textContent = "Delete";
+      del.addEventListener("click", () => deleteCustomRuleset(r.id));
+      td.appendChild(del);
+    }
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  }
+}
+
+function fillRulesetForm(r) {
+  const optional = (v) => v == null ? "" : v;
+  $("rsName").value = `${r.name} copy`;
+  $("rsBase").value = r.base;
+  $("rsDistanceFactor").value = r.distanceFactor;
+  $("rsTimeFactor").value = r.timeFactor;
+  $("rsBucket").value = optional(r.bucketBonus);
+  $("rsCV").value = optional(r.competitionViolation);
+  $("rsConV").value = optional(r.constructionViolation);
+  $("rsFailedMode").value = r.failedRun.mode;
+  $("rsFailedDist").value = r.failedRun.distanceCm;
+  $("rsFailedTime").value = r.failedRun.timeS;
+  $("rsFailedScore").value = r.failedRun.score;
+  $("rsDidNotRun").value = r.didNotRun === "unscored" ? "unscored" : "failed";
+  $("rsNotImpounded").value = r.notImpoundedPenalty;
+  showMsg($("rulesMsg"), `Editing a copy of ${r.name}. Rename it and click Save ruleset.`);
+}
+
+function readRulesetForm() {
+  const optional = (id) => {
+    const v = $(id).value.trim();
+    return v === "" ? null : num(v);
+  };
+  return {
+    id: "custom-" + uid(),
+    name: $("rsName").value.trim(),
+    builtIn: false,
+    base: num($("rsBase").value),
+    distanceFactor: num($("rsDistanceFactor").value),
+    timeFactor: num($("rsTimeFactor").value),
+    bucketBonus: optional("rsBucket"),
+    competitionViolation: optional("rsCV"),
+    constructionViolation: optional("rsConV"),
+    failedRun: {
+      mode: $("rsFailedMode").value === "fixed" ? "fixed" : "substitute",
+      distanceCm: num($("rsFailedDist").value),
+      timeS: num($("rsFailedTime").value),
+      score: num($("rsFailedScore").value)
+    },
+    didNotRun: $("rsDidNotRun").value === "unscored" ? "unscored" : "failed",
+    notImpoundedPenalty: num($("rsNotImpounded").value),
+    createdAt: new Date().toISOString()
+  };
+}
+
+function saveCustomRuleset() {
+  const r = readRulesetForm();
+  if (!r.name) return showMsg($("rulesMsg"), "Give the ruleset a name.", true);
+  if (listRulesets().some(x => x.name.toLowerCase() === r.name.toLowerCase())) {
+    return showMsg($("rulesMsg"), "A ruleset with that name already exists.", true);
+  }
+  setCustomRulesets(currentUser, [...getCustomRulesets(currentUser), r]);
+  showMsg($("rulesMsg"), `Saved ${r.name}.`);
+  renderRulesets();
+  fillRulesetSelect($("practiceRuleset"), $("practiceRuleset").value);
+}
+
+function deleteCustomRuleset(id) {
+  if (rulesetInUse(id)) return showMsg($("rulesMsg"), "That ruleset scored saved runs or the meet, so it cannot be deleted.", true);
+  const ok = confirm("Delete this ruleset?");
+  if (!ok) return;
+  setCustomRulesets(currentUser, getCustomRulesets(currentUser).filter(r => r.id !== id));
+  showMsg($("rulesMsg"), "Deleted ruleset.");
+  renderRulesets();
+  fillRulesetSelect($("practiceRuleset"), getPrefs(currentUser).practiceRulesetId);
+  applyPracticeRulesetLabels();
+  updateScorePreview();
+}
+
+// ---------- Undo & trash ----------
+// Run and meet edits since login can be undone and redone. A step holds copies of
+// what changed before and after it: the affected run records, or the whole meet
+// book (it is small, and it carries its own trash). Emptying the trash clears the
+// history, so no step can bring back a record that is gone for good.
+const HISTORY_LIMIT = 100;
+const HISTORY_MERGE_MS = 1500;
+const undoHistory = { undo: [], redo: [] };
+
+function clearHistory() {
+  undoHistory.undo = [];
+  undoHistory.redo = [];
+  renderHistoryButtons();
+}
+
+// `merge` steps (typing in the meet table) extend the previous step of the same
+// kind while edits keep coming, so one Undo takes back the whole burst.
+function pushHistory(step) {
+  const top = undoHistory.undo[undoHistory.undo.length - 1];
+  undoHistory.redo = [];
+  if (step.merge && top && top.merge && top.kind === step.kind && step.at - top.at < HISTORY_MERGE_MS) {
+    top.after = step.after;
+    top.at = step.at;
+  } else {
+    undoHistory.undo.push(step);
+    if (undoHistory.undo.length > HISTORY_LIMIT) undoHistory.undo.shift();
+  }
+  renderHistoryButtons();
+}
+
+// `before` and `after` list the run records on each side; a run missing from one
+// side did not exist there.
+function recordRunsChange(label, before, after) {
+  pushHistory({ kind: "runs", label, before: structuredClone(before), after: structuredClone(after), at: Date.now() });
+}
+
+function recordMeetChange(label, before, after, merge) {
+  pushHistory({ kind: "meets", label, before, after, at: Date.now(), merge });
+}
+
+function applyHistoryStep(step, to, from, via) {
+  if (step.kind === "runs") {
+    const keep = new Set(to.map(r => r.id));
+    const gone = from.filter(r => !keep.has(r.id)).map(r => r.id);
+    if (gone.length) deleteRuns(gone);
+    if (to.length) putRuns(structuredClone(to));
+  } else {
+    putMeetBook(currentUser, auditMeetBook(getStoredMeetBook(currentUser), structuredClone(to), via));
+  }
+}
+
+function undoChange() {
+  const step = undoHistory.undo.pop();
+  if (!step) return;
+  applyHistoryStep(step, step.before, step.after, "undo");
+  step.merge = false;
+  undoHistory.redo.push(step);
+  afterHistoryChange(`Undid: ${step.label}.`);
+}
+
+function redoChange() {
+  const step = undoHistory.redo.pop();
+  if (!step) return;
+  applyHistoryStep(step, step.after, step.before, "redo");
+  step.merge = false;
+  undoHistory.undo.push(step);
+  afterHistoryChange(`Redid: ${step.label}.`);
+}
+
+function afterHistoryChange(text) {
+  if (editingRunId && !getUserRuns(currentUser).some(r => r.id === editingRunId)) endRunEdit();
+  meetUnlocked = false;
+  renderSessions();
+  renderVehicles();
+  renderRunsTable();
+  renderChart();
+  renderPracticeSummary();
+  renderMeet();
+  renderTrash();
+  renderHistoryButtons();
+  showMsg($("historyMsg"), text);
+}
+
+function renderHistoryButtons() {
+  const undo = undoHistory.undo[undoHistory.undo.length - 1];
+  const redo = undoHistory.redo[undoHistory.redo.length - 1];
+  $("btnUndo").disabled = !undo;
+  $("btnRedo").disabled = !redo;
+  $("btnUndo").title = undo ? `Undo: ${undo.label} (Ctrl+Z)` : "Nothing to undo";
+  $("btnRedo").title = redo ? `Redo: ${redo.label} (Ctrl+Shift+Z)` : "Nothing to redo";
+}
+
+// Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y, except in text fields, which keep their own undo.
+function onHistoryKey(e) {
+  if (!currentUser || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const t = e.target;
+  if (t && (t.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(t.tagName))) return;
+  const k = e.key.toLowerCase();
+  if (k === "z" && !e.shiftKey) undoChange();
+  else if ((k === "z" && e.shiftKey) || k === "y") redoChange();
+  else return;
+  e.preventDefault();
+}
+
+// Trashed runs and meet-book entries, newest first, in one list.
+function trashItems() {
+  const runs = getTrashedRuns(currentUser).map(r => ({
+    id: r.id,
+    kind: "run",
+    deletedAt: r.deletedAt,
+    what: `${new Date(r.createdAt).toLocaleDateString()} · ${trackKey(r.targetDistanceM)} m track, score ${Number(r.score).toFixed(2)}`,
+    from: r.sessionId ? sessionLabel(r.sessionId) : "Practice"
+  }));
+  const book = getMeetBook(currentUser);
+  const meetName = (id) => book.meets.find(m => m.id === id)?.name || "(deleted meet)";
+  const entries = book.trash.map(t => ({
+    id: t.id,
+    kind: t.kind,
+    deletedAt: t.deletedAt,
+    what: t.kind === "meet" ? `${t.item.name} (${t.item.rows.length} team(s))` : teamLabel(t.item),
+    from: t.kind === "meet" ? t.item.date : meetName(t.meetId)
+  }));
+  return [...runs, ...entries].sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+}
+
+function renderTrash() {
+  if (!currentUser) return;
+  const items = trashItems();
+  const tbody = $("trashTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const t of items) {
+    const tr = document.createElement("tr");
+    for (const c of [new Date(t.deletedAt).toLocaleString(), t.kind, t.what, t.from]) {
+      const td = document.createElement("td");
+      td.textContent = c;
+      tr.appendChild(td);
+    }
+    const td = document.createElement("td");
+    const restore = document.createElement("button");
+    restore.className = "secondary";
+    restore.textContent = "Restore";
+    restore.addEventListener("click", () => restoreTrashItem(t));
+    td.appendChild(restore);
+    const purge = document.createElement("button");
+    purge.className = "danger";
+    purge.textContent = "Delete forever";
+    purge.addEventListener("click", () => purgeTrash([t]));
+    td.appendChild(purge);
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  }
+  if (!items.length) {
+    const tr = document.createElement("tr");
+    const td = document.createElement("td");
+    td.colSpan = 5;
+    td.className = "muted";
+    td.textContent = "The trash is empty.";
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  }
+  $("btnEmptyTrash").disabled = !items.length;
+}
+
+// A restored team goes back to its meet (or the open one if that meet is gone),
+// last in the order of run.
+function restoreTrashItem(t) {
+  if (t.kind === "run") {
+    const run = getTrashedRuns(currentUser).find(r => r.id === t.id);
+    if (!run) return;
+    const { deletedAt, ...live } = run;
+    putRuns([live]);
+    recordRunsChange("Restore run", [run], [live]);
+  } else {
+    const activeId = getMeet(currentUser).id;
+    const book = getMeetBook(currentUser);
+    const entry = book.trash.find(e => e.id === t.id);
+    if (!entry) return;
+    book.trash = book.trash.filter(e => e !== entry);
+    if (entry.kind === "meet") {
+      book.meets.push(entry.item);
+    } else {
+      const meet = book.meets.find(m => m.id === entry.meetId) || book.meets.find(m => m.id === activeId);
+      meet.rows.push({ ...entry.item, runOrder: newMeetRow(meet.rows).runOrder });
+    }
+    setMeetBook(currentUser, book, `Restore ${t.what}`);
+  }
+  afterHistoryChange("");
+  showMsg($("trashMsg"), `Restored ${t.kind}: ${t.what}.`);
 }
 
-function renderPracticeSummary() {
-  const tbody = $("practiceTable").querySelector("tbody");
-  tbody.innerHTML = "";
-  const msg = $("practiceMsg");
+function purgeTrash(items) {
+  const ok = confirm(items.length === 1
+    ? `Delete ${items[0].kind} "${items[0].what}" forever? This cannot be undone.`
+    : `Delete all ${items.length} item(s) in the trash forever? This cannot be undone.`);
+  if (!ok) return;
 
-  const targetStr = $("filterTrackM").value.trim();
-  const tolStr = $("filterToleranceM").value.trim();
-  const tol = tolStr ? num(tolStr) : null;
+  const runIds = items.filter(t => t.kind === "run").map(t => t.id);
+  if (runIds.length) deleteRuns(runIds);
+  const gone = new Set(items.filter(t => t.kind !== "run").map(t => t.id));
+  if (gone.size) {
+    const book = getMeetBook(currentUser);
+    book.trash = book.trash.filter(e => !gone.has(e.id));
+    putMeetBook(currentUser, book);
+  }
+  clearHistory();
+  renderTrash();
+  showMsg($("trashMsg"), `Deleted ${items.length} item(s) forever.`);
+}
 
-  let runs = getUserRuns(currentUser);
+function emptyTrash() {
+  const items = trashItems();
+  if (items.length) purgeTrash(items);
+}
 
-  if (targetStr) {
-    const t = num(targetStr);
-    if (tol !== null && tol > 0) runs = runs.filter(r => Number.isFinite(r.targetDistanceM) && approxEq(num(r.targetDistanceM), t, tol));
-    else runs = runs.filter(r => Number.isFinite(r.targetDistanceM) && approxEq(num(r.targetDistanceM), t, 0.005));
+// ---------- Backup / restore ----------
+// One JSON bundle holding either the current user's data or the whole device.
+// Every per-user collection is keyed by username so both scopes share a shape;
+// a user-scope bundle is re-keyed to whoever imports it. A user bundle is the
+// logged-in user's decrypted data; a device bundle copies runs, practice books
+// and meet books as stored, so each stays sealed with its owner's key.
+// Schema history: v1 held one meet table per user; v2 holds a meet book; v3
+// device bundles may hold sealed records ({ id, user, iv, ct } / { iv, ct });
+// v4 adds practice books (sessions).
+const BACKUP_FORMAT = "scrambler-backup";
+const BACKUP_SCHEMA_VERSION = 4;
+
+let pendingImport = null;
+
+function stableJSON(v) {
+  if (Array.isArray(v)) return `[${v.map(stableJSON).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${stableJSON(v[k])}`).join(",")}}`;
   }
+  return JSON.stringify(v ?? null);
+}
 
-  if (!runs.length) {
-    showMsg(msg, "No runs match this filter.");
-    window.__practiceSummary = [];
-    return;
-  }
-  showMsg(msg, `Showing ${runs.length} run(s).`);
+function pickUsers(obj, users) {
+  const out = {};
+  for (const u of users) if (obj[u] !== undefined) out[u] = obj[u];
+  return out;
+}
 
-  const byTrack = new Map();
-  for (const r of runs) {
-    const k = trackKey(r.targetDistanceM);
-    if (!byTrack.has(k)) byTrack.set(k, []);
-    byTrack.get(k).push(r);
-  }
+function buildBackup(scope) {
+  const device = scope === "device";
+  const users = device ? Object.keys(getUsers()) : [currentUser];
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    scope: device ? "device" : "user",
+    user: device ? null : currentUser,
+    users: device ? getUsers() : {},
+    runs: device ? storedRuns() : getRuns().filter(r => r.user === currentUser),
+    meets: device ? storedMeetBooks() : { [currentUser]: getMeetBook(currentUser) },
+    practice: device ? storedPracticeBooks() : { [currentUser]: getPracticeBook(currentUser) },
+    rulesets: pickUsers(getCustomRulesetsAll(), users),
+    prefs: pickUsers(loadJSON(LS.PREFS, {}), users)
+  };
+}
 
-  const keys = [...byTrack.keys()].sort((a,b) => {
-    if (a === "(blank)") return 1;
-    if (b === "(blank)") return -1;
-    return Number(a) - Number(b);
-  });
+async function exportBackup(scope) {
+  await store.queue;
+  const b = buildBackup(scope);
+  const stamp = b.exportedAt.slice(0, 10);
+  const name = scope === "device" ? `scrambler_backup_device_${stamp}.json` : `scrambler_backup_${currentUser}_${stamp}.json`;
+  download(name, JSON.stringify(b, null, 2), "application/json");
+  showMsg($("backupMsg"), `Exported ${b.runs.length} run(s) for ${scope === "device" ? "this device" : currentUser}.`);
+}
 
-  const summary = [];
+function parseBackup(text) {
+  let b;
+  try { b = JSON.parse(text); }
+  catch { throw new Error("That file is not valid JSON."); }
+  if (!b || b.format !== BACKUP_FORMAT) throw new Error("That file is not a Scrambler backup.");
+  if (!Number.isInteger(b.schemaVersion) || b.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    throw new Error(`Backup schema version ${b.schemaVersion} is newer than this app supports (${BACKUP_SCHEMA_VERSION}).`);
+  }
+  if (!Array.isArray(b.runs)) throw new Error("Backup has no runs list.");
+  const meets = {};
+  for (const [name, m] of Object.entries(b.meets || {})) meets[name] = isSealed(m) ? m : normalizeMeetBook(m);
+  const practice = {};
+  for (const [name, p] of Object.entries(b.practice || {})) practice[name] = isSealed(p) ? p : normalizePracticeBook(p);
+  return {
+    ...b,
+    users: b.users || {},
+    meets,
+    practice,
+    rulesets: b.rulesets || {},
+    prefs: b.prefs || {}
+  };
+}
 
-  for (const k of keys) {
-    const rs = byTrack.get(k);
-    const scores = rs.map(x => Number(x.score)).filter(Number.isFinite);
-    const n = scores.length;
-    const avg = n ? scores.reduce((p,c)=>p+c,0)/n : NaN;
-    const best = n ? Math.min(...scores) : NaN;
+// User-scope bundles land in the current account whatever name they were exported under.
+function remapBackup(b) {
+  if (b.scope === "device") return b;
+  const from = b.user;
+  const pick = (obj) => obj[from] !== undefined ? { [currentUser]: obj[from] } : {};
+  return {
+    ...b,
+    users: {},
+    runs: b.runs.map(r => ({ ...r, user: currentUser })),
+    meets: pick(b.meets),
+    practice: pick(b.practice),
+    rulesets: pick(b.rulesets),
+    prefs: pick(b.prefs)
+  };
+}
 
-    const bySetup = new Map();
-    for (const r of rs) {
-      const sk = setupKey(r);
-      if (!bySetup.has(sk)) bySetup.set(sk, []);
-      bySetup.get(sk).push(r);
-    }
+// What a merge would do. Items with the same id and identical content are
+// duplicates; same id but different content is a conflict, and merge keeps the
+// local copy of every conflict. Sealed records are compared as stored and only
+// taken for accounts whose key here can open them.
+function planImport(b) {
+  const plan = { runsNew: [], runsSame: 0, conflicts: [], meetsNew: [], booksNew: [], sessionsNew: [], vehiclesNew: [], practiceBooksNew: [], rulesetsNew: [], usersNew: [] };
 
-    let bestSetupAvg = "", bestAvgVal = Infinity;
-    let bestSetupSingle = "", bestSingleVal = Infinity;
+  const users = getUsers();
+  const sameKey = (name) => !users[name] || (users[name].hashB64 === b.users[name]?.hashB64 && users[name].encSaltB64 === b.users[name]?.encSaltB64);
+  const locked = (name) => plan.conflicts.push(`${name}'s data: sealed with a different password than the account here, so not imported`);
+
+  const mine = new Map(getRuns().map(r => [r.id, r]));
+  const stored = new Map(storedRuns().map(r => [r.id, r]));
+  const lockedUsers = new Set();
+  for (const r of b.runs) {
+    const local = (isSealed(r) ? stored.get(r.id) : mine.get(r.id)) || stored.get(r.id);
+    if (!local) {
+      if (isSealed(r) && !sameKey(r.user)) lockedUsers.add(r.user);
+      else plan.runsNew.push(r);
+    }
+    else if (stableJSON(local) === stableJSON(r)) plan.runsSame++;
+    else if (local.user !== r.user) plan.conflicts.push(`Run ${r.createdAt || r.id}: its id is already used by ${local.user}'s run`);
+    else plan.conflicts.push(`Run ${r.createdAt || r.id} (${r.user}): differs from the copy on this device`);
+  }
 
-    for (const [sk, sRuns] of bySetup.entries()) {
-      const ss = sRuns.map(x => Number(x.score)).filter(Number.isFinite);
-      if (!ss.length) continue;
-      const sAvg = ss.reduce((p,c)=>p+c,0)/ss.length;
-      const sBest = Math.min(...ss);
+  for (const [name, u] of Object.entries(b.users)) {
+    if (!users[name]) plan.usersNew.push(name);
+    else if (users[name].hashB64 !== u.hashB64) plan.conflicts.push(`User ${name}: exists here with a different password`);
+  }
 
-      if (sAvg < bestAvgVal) {
-        bestAvgVal = sAvg;
-        bestSetupAvg = `${sk} (avg ${round2(sAvg).toFixed(2)}; n=${ss.length})`;
-      }
-      if (sBest < bestSingleVal) {
-        bestSingleVal = sBest;
-        bestSetupSingle = `${sk} (best ${round2(sBest).toFixed(2)})`;
+  const books = storedMeetBooks();
+  for (const [name, book] of Object.entries(b.meets)) {
+    // Only the unlocked user's own meets merge one by one; any other book is
+    // taken whole, and only where this device has none.
+    if (name !== vault.user || isSealed(book)) {
+      if (books[name] === undefined) {
+        if (isSealed(book) && !sameKey(name)) lockedUsers.add(name);
+        else plan.booksNew.push([name, book]);
+      } else if (stableJSON(books[name]) !== stableJSON(book)) {
+        plan.conflicts.push(`Meets of ${name}: this device already has a different set`);
       }
+      continue;
     }
-
-    const tr = document.createElement("tr");
-    const cells = [
-      k,
-      n,
-      Number.isFinite(avg) ? round2(avg).toFixed(2) : "",
-      Number.isFinite(best) ? round2(best).toFixed(2) : "",
-      bestSetupAvg,
-      bestSetupSingle
-    ];
-    for (const c of cells) {
-      const td = document.createElement("td");
-      td.textContent = c;
-      tr.appendChild(td);
+    const local = new Map(getMeetBook(name).meets.map(m => [m.id, m]));
+    for (const m of book.meets) {
+      if (!local.has(m.id)) plan.meetsNew.push([name, m]);
+      else if (stableJSON(local.get(m.id)) !== stableJSON(m)) plan.conflicts.push(`Meet ${m.name} (${name}): differs from the one on this device`);
     }
-    tbody.appendChild(tr);
+  }
 
-    summary.push({
-      trackGroupM: k,
-      runsCount: n,
-      avgScore: Number.isFinite(avg) ? round2(avg) : "",
-      bestScore: Number.isFinite(best) ? round2(best) : "",
-      bestSetupByAvg: bestSetupAvg,
-      bestSetupBySingle: bestSetupSingle
-    });
+  // Practice books follow the same rules, session by session and vehicle by vehicle.
+  const practice = storedPracticeBooks();
+  for (const [name, book] of Object.entries(b.practice)) {
+    if (name !== vault.user || isSealed(book)) {
+      if (practice[name] === undefined) {
+        if (isSealed(book) && !sameKey(name)) lockedUsers.add(name);
+        else plan.practiceBooksNew.push([name, book]);
+      } else if (stableJSON(practice[name]) !== stableJSON(book)) {
+        plan.conflicts.push(`Practice sessions of ${name}: this device already has a different set`);
+      }
+      continue;
+    }
+    const local = new Map(getPracticeBook(name).sessions.map(x => [x.id, x]));
+    for (const x of book.sessions) {
+      if (!local.has(x.id)) plan.sessionsNew.push([name, x]);
+      else if (stableJSON(local.get(x.id)) !== stableJSON(x)) plan.conflicts.push(`Session ${x.name} (${name}): differs from the one on this device`);
+    }
+    const vehicles = new Map(getPracticeBook(name).vehicles.map(v => [v.id, v]));
+    for (const v of book.vehicles) {
+      if (!vehicles.has(v.id)) plan.vehiclesNew.push([name, v]);
+      else if (stableJSON(vehicles.get(v.id)) !== stableJSON(v)) plan.conflicts.push(`Vehicle ${v.name} (${name}): differs from the one on this device`);
+    }
+  }
+  lockedUsers.forEach(locked);
+
+  const rulesets = getCustomRulesetsAll();
+  for (const [name, list] of Object.entries(b.rulesets)) {
+    const local = new Map((rulesets[name] || []).map(r => [r.id, r]));
+    for (const r of list) {
+      if (!local.has(r.id)) plan.rulesetsNew.push([name, r]);
+      else if (stableJSON(local.get(r.id)) !== stableJSON(r)) plan.conflicts.push(`Ruleset ${r.name} (${name}): differs from the one on this device`);
+    }
   }
 
-  window.__practiceSummary = summary;
+  return plan;
 }
 
-function exportPracticeSummaryCSV() {
-  const rows = window.__practiceSummary || [];
-  if (!rows.length) return showMsg($("practiceMsg"), "Nothing to export yet. Click Apply first.", true);
-  download(`scrambler_practice_summary_${currentUser}.csv`, toCSV(rows, Object.keys(rows[0])), "text/csv");
+function describeImport(b, plan) {
+  const who = b.scope === "device" ? "whole device" : `user ${b.user} → ${currentUser}`;
+  const lines = [
+    `Backup from ${b.exportedAt || "unknown date"} (${who}, schema v${b.schemaVersion}).`,
+    `Merge: ${plan.runsNew.length} new run(s), ${plan.runsSame} already here, ` +
+      `${plan.meetsNew.length} meet(s), ${plan.sessionsNew.length} session(s), ${plan.vehiclesNew.length} vehicle(s), ` +
+      `${plan.rulesetsNew.length} ruleset(s)` +
+      (plan.booksNew.length ? `, meets of ${plan.booksNew.length} other user(s)` : "") +
+      (plan.practiceBooksNew.length ? `, sessions of ${plan.practiceBooksNew.length} other user(s)` : "") +
+      (b.scope === "device" ? `, ${plan.usersNew.length} new user(s).` : "."),
+    `Replace: ${b.scope === "device" ? "ALL data on this device" : `all of ${currentUser}'s data`} becomes the backup's ${b.runs.length} run(s).`
+  ];
+  if (plan.conflicts.length) {
+    lines.push(`${plan.conflicts.length} conflict(s) — merge keeps this device's copy:`);
+    for (const c of plan.conflicts) lines.push(`  • ${c}`);
+  }
+  return lines.join("\n");
 }
 
-// ---------- Meet ----------
-function getMeetRows(user) {
-  const all = getMeetAll();
-  return all[user] || [];
+function mergeImport(b, plan) {
+  const own = plan.runsNew.filter(r => r.user === vault.user && !isSealed(r));
+  const asStored = plan.runsNew.filter(r => !own.includes(r));
+  if (own.length) putRuns(own);
+  if (asStored.length) queueWrite(() => putStoredRuns(asStored));
+  for (const [name, book] of plan.booksNew) queueWrite(() => putStoredMeetBook(name, book));
+  for (const [name, book] of plan.practiceBooksNew) queueWrite(() => putStoredPracticeBook(name, book));
+  for (const name of plan.usersNew) putUser(name, b.users[name]);
+
+  for (const [name, m] of plan.meetsNew) {
+    const book = getMeetBook(name);
+    // An untouched placeholder meet gives way to the imported ones.
+    book.meets = book.meets.filter(x => x.rows.length || x.archived || x.name !== "Meet 1");
+    book.meets.push(m);
+    if (!book.meets.some(x => x.id === book.activeId)) book.activeId = m.id;
+    setMeetBook(name, book);
+  }
+
+  if (plan.sessionsNew.length || plan.vehiclesNew.length) {
+    // Only the vault user's own book merges item by item.
+    const book = getPracticeBook(vault.user);
+    book.sessions.push(...plan.sessionsNew.map(([, x]) => x));
+    book.vehicles.push(...plan.vehiclesNew.map(([, v]) => v));
+    putPracticeBook(vault.user, book);
+  }
+
+  const rulesets = getCustomRulesetsAll();
+  for (const [name, r] of plan.rulesetsNew) rulesets[name] = [...(rulesets[name] || []), r];
+  setCustomRulesetsAll(rulesets);
+
+  // Preferences only fill in what is not set here yet.
+  const prefs = loadJSON(LS.PREFS, {});
+  for (const [name, p] of Object.entries(b.prefs)) prefs[name] = { ...p, ...(prefs[name] || {}) };
+  saveJSON(LS.PREFS, prefs);
 }
-function setMeetRows(user, rows) {
-  const all = getMeetAll();
-  all[user] = rows;
-  setMeetAll(all);
+
+function replaceImport(b) {
+  if (b.scope === "device") {
+    replaceAllData(b.users, b.runs, b.meets, b.practice);
+    setCustomRulesetsAll(b.rulesets);
+    saveJSON(LS.PREFS, b.prefs);
+    return;
+  }
+  const put = (all, v) => {
+    if (v === undefined) delete all[currentUser];
+    else all[currentUser] = v;
+    return all;
+  };
+  // Never overwrite another account's run that happens to share an id.
+  const taken = new Set(storedRuns().filter(r => r.user !== currentUser).map(r => r.id));
+  deleteRuns(getRuns().filter(r => r.user === currentUser).map(r => r.id));
+  putRuns(b.runs.filter(r => !taken.has(r.id)));
+  if (b.meets[currentUser] === undefined) deleteMeetBook(currentUser);
+  else putMeetBook(currentUser, b.meets[currentUser]);
+  if (b.practice[currentUser] === undefined) deletePracticeBook(currentUser);
+  else putPracticeBook(currentUser, b.practice[currentUser]);
+  setCustomRulesetsAll(put(getCustomRulesetsAll(), b.rulesets[currentUser]));
+  saveJSON(LS.PREFS, put(loadJSON(LS.PREFS, {}), b.prefs[currentUser]));
 }
 
-function meetRunScore(run) {
-  const sc = computeScore(run);
-  return { score: sc.total, timeAvg: sc.timeAvg };
+async function previewBackupFile() {
+  const f = $("backupFile").files[0];
+  pendingImport = null;
+  $("backupPreview").textContent = "";
+  $("backupActions").classList.add("hidden");
+  if (!f) return;
+
+  try {
+    const b = remapBackup(parseBackup(await f.text()));
+    pendingImport = { bundle: b, plan: planImport(b) };
+    $("backupPreview").textContent = describeImport(b, pendingImport.plan);
+    $("backupActions").classList.remove("hidden");
+    showMsg($("backupMsg"), "Review the changes, then Merge or Replace.");
+  } catch (e) {
+    showMsg($("backupMsg"), e.message || "Could not read that backup.", true);
+  }
 }
 
-function renderMeet() {
-  const tbody = $("meetTable").querySelector("tbody");
-  tbody.innerHTML = "";
-  const rows = getMeetRows(currentUser);
+async function applyBackup(mode) {
+  if (!pendingImport) return;
+  const { bundle: b, plan } = pendingImport;
 
-  for (const row of rows) {
-    const tr = document.createElement("tr");
+  if (mode === "replace") {
+    const what = b.scope === "device" ? "ALL accounts and data on this device" : `all of ${currentUser}'s runs, sessions, meets and rulesets`;
+    const ok = confirm(`Replace ${what} with this backup?`);
+    if (!ok) return;
+    replaceImport(b);
+  } else {
+    mergeImport(b, plan);
+  }
 
-    const r1 = meetRunScore(row.run1);
-    const r2 = meetRunScore(row.run2);
+  pendingImport = null;
+  $("backupFile").value = "";
+  $("backupActions").classList.add("hidden");
 
-    const bestOf2 = Math.min(r1.score, r2.score);
-    const final = bestOf2 + (row.notImpounded ? 5000 : 0);
+  const report = mode === "replace"
+    ? `Replaced with ${b.runs.length} run(s) from the backup.`
+    : `Merged ${plan.runsNew.length} new run(s); skipped ${plan.runsSame} duplicate(s); kept local copy for ${plan.conflicts.length} conflict(s).`;
+  $("backupPreview").textContent = report + (mode === "merge" && plan.conflicts.length ? "\n" + plan.conflicts.map(c => `  • ${c}`).join("\n") : "");
 
-    // helpers to make inputs
-    const makeNum = (val, cls, onChange) => {
-      const inp = document.createElement("input");
-      inp.type = "number";
-      inp.step = "0.01";
-      inp.className = cls || "";
-      inp.value = val ?? "";
-      inp.addEventListener("input", () => onChange(inp.value));
-      return inp;
-    };
-    const makeChk = (checked, onChange) => {
-      const inp = document.createElement("input");
-      inp.type = "checkbox";
-      inp.checked = !!checked;
-      inp.addEventListener("change", () => onChange(inp.checked));
-      return inp;
-    };
+  if (b.scope === "device" && mode === "replace") {
+    const gone = !getUsers()[currentUser];
+    clearSession();
+    setLoggedOutUI();
+    showMsg($("authMsg"), gone
+      ? "Restored device backup. Your account is not in it, so you were logged out."
+      : "Restored device backup. Log in again to unlock your data.");
+    return;
+  }
+  // Sealed runs of your own from a device backup only show once opened.
+  if (b.scope === "device") {
+    await store.queue;
+    await unlockVault(currentUser, vault.key);
+  }
+  showMsg($("backupMsg"), "Import complete.");
+  refreshImported();
+}
 
-    // Team
-    const tdTeam = document.createElement("td");
-    const teamIn = document.createElement("input");
-    teamIn.value = row.team || "";
-    teamIn.placeholder = "Team";
-    teamIn.addEventListener("input", () => { row.team = teamIn.value; setMeetRows(currentUser, rows); });
-    tdTeam.appendChild(teamIn);
-    tr.appendChild(tdTeam);
+function refreshImported() {
+  clearHistory();
+  renderTrash();
+  renderSessions();
+  renderVehicles();
+  fillRulesetSelect($("practiceRuleset"), getPrefs(currentUser).practiceRulesetId);
+  applyPracticeRulesetLabels();
+  updateScorePreview();
+}
 
-    function addRunCells(runObj, computed) {
-      // Dist
-      let td = document.createElement("td");
-      td.appendChild(makeNum(runObj.vehicleDistanceCm, "mini", v => { runObj.vehicleDistanceCm = v; setMeetRows(currentUser, rows); renderMeet(); }));
-      tr.appendChild(td);
+// ---------- Account ----------
+// Password changes and renames re-seal the user's records (rewriteVault). A
+// forgotten password cannot be recovered: resetting it asks for the account's
+// reset code and sets the records it sealed aside, unreadable until the old
+// password turns up again (or a "my data" backup is imported).
+const IDLE_LOCK_CHOICES = [0, 5, 15, 30, 60, 240];   // minutes; 0 = never
+let lastActivity = Date.now();
 
-      // t1,t2,t3
-      ["time1","time2","time3"].forEach((k) => {
-        td = document.createElement("td");
-        td.appendChild(makeNum(runObj[k], "micro", v => { runObj[k] = v; setMeetRows(currentUser, rows); renderMeet(); }));
-        tr.appendChild(td);
-      });
+function idleLockMin(user) { return getPrefs(user).idleLockMin || 0; }
 
-      // Avg
-      td = document.createElement("td");
-      td.textContent = computed.timeAvg.toFixed(2);
-      tr.appendChild(td);
+function idleLockExpired(sess) {
+  const min = idleLockMin(sess.user);
+  return min > 0 && Date.now() - (sess.lastActiveAt || 0) > min * 60000;
+}
 
-      // Bucket
-      td = document.createElement("td");
-      td.appendChild(makeChk(runObj.bucketBonus, v => { runObj.bucketBonus = v; setMeetRows(currentUser, rows); renderMeet(); }));
-      tr.appendChild(td);
+// The session's timestamp is refreshed at most every 30 s so a reload can
+// tell how long the page sat idle.
+function noteActivity() {
+  const before = lastActivity;
+  lastActivity = Date.now();
+  if (currentUser && lastActivity - before > 30000) setSession(currentUser);
+}
 
-      // CV
-      td = document.createElement("td");
-      td.appendChild(makeChk(runObj.competitionViolationPoints, v => { runObj.competitionViolationPoints = v; setMeetRows(currentUser, rows); renderMeet(); }));
-      tr.appendChild(td);
+function lockForIdle(user) {
+  const min = idleLockMin(user);
+  clearSession();
+  setLoggedOutUI();
+  $("username").value = user;
+  showMsg($("authMsg"), `Locked after ${min} min without activity. Enter your password to continue.`);
+}
 
-      // ConV
-      td = document.createElement("td");
-      td.appendChild(makeChk(runObj.constructionViolationPoints, v => { runObj.constructionViolationPoints = v; setMeetRows(currentUser, rows); renderMeet(); }));
-      tr.appendChild(td);
+function checkIdleLock() {
+  if (!currentUser) return;
+  const min = idleLockMin(currentUser);
+  if (min > 0 && Date.now() - lastActivity > min * 60000) lockForIdle(currentUser);
+}
 
-      // Score
-      td = document.createElement("td");
-      td.textContent = computed.score.toFixed(2);
-      tr.appendChild(td);
-    }
+function renderAccount() {
+  const sel = $("accIdleLock");
+  sel.innerHTML = "";
+  for (const min of IDLE_LOCK_CHOICES) {
+    const opt = document.createElement("option");
+    opt.value = String(min);
+    opt.textContent = min ? (min < 60 ? `${min} minutes idle` : `${min / 60} hour(s) idle`) : "Never";
+    sel.appendChild(opt);
+  }
+  sel.value = String(idleLockMin(currentUser));
+  const u = getUsers()[currentUser];
+  $("resetCodeState").textContent = u.resetHashB64
+    ? "This account has a reset code. Making a new one replaces it."
+    : "This account has no reset code yet, so a forgotten password cannot be reset. Make one now.";
+  $("recoverCard").classList.toggle("hidden", !u.setAside?.length);
+  for (const id of ["accCurrentPw", "accNewPw", "accNewPw2", "accResetPw", "accNewName", "accDeletePw", "accOldPw"]) $(id).value = "";
+  for (const id of ["passwordMsg", "resetCodeMsg", "recoverMsg", "renameMsg", "idleLockMsg", "deleteMsg"]) showMsg($(id), "");
+}
 
-    addRunCells(row.run1, r1);
-    addRunCells(row.run2, r2);
+// The one time a reset code is on screen: the Account tab, until it is left.
+function showResetCode(code, note = "") {
+  setTab("account");
+  showMsg($("resetCodeMsg"), `${note}Your reset code is ${code}. It is not shown again: write it down and keep it away from this computer.`);
+}
 
-    // Best-of-2
-    let td = document.createElement("td");
-    td.textContent = bestOf2.toFixed(2);
-    tr.appendChild(td);
+async function makeResetCode() {
+  const msg = $("resetCodeMsg");
+  if (!await verifyUser(currentUser, $("accResetPw").value)) return showMsg(msg, "Password is wrong.", true);
+  const code = newResetCode();
+  const ok = await putUser(currentUser, { ...getUsers()[currentUser], ...await resetCodeRecord(code) });
+  if (!ok) return showMsg(msg, "Could not save the new reset code; the old one still works.", true);
+  renderAccount();
+  showResetCode(code);
+}
 
-    // Not impounded
-    td = document.createElement("td");
-    td.appendChild(makeChk(row.notImpounded, v => { row.notImpounded = v; setMeetRows(currentUser, rows); renderMeet(); }));
-    tr.appendChild(td);
+function saveIdleLock() {
+  const min = Number($("accIdleLock").value);
+  setPrefs(currentUser, { idleLockMin: min });
+  showMsg($("idleLockMsg"), min ? `This account locks after ${$("accIdleLock").selectedOptions[0].textContent}.` : "Auto-lock is off.");
+}
 
-    // Final
-    td = document.createElement("td");
-    td.textContent = final.toFixed(2);
-    tr.appendChild(td);
+async function changePassword() {
+  const msg = $("passwordMsg");
+  const next = $("accNewPw").value;
+  if (next.length < 6) return showMsg(msg, "New password must be at least 6 characters.", true);
+  if (next !== $("accNewPw2").value) return showMsg(msg, "The new passwords do not match.", true);
+  if (!await verifyUser(currentUser, $("accCurrentPw").value)) return showMsg(msg, "Current password is wrong.", true);
+
+  const u = getUsers()[currentUser];
+  const rec = { ...u, ...await newUserRecord(next, u.createdAt) };
+  const key = await deriveDataKey(next, b64ToBytes(rec.encSaltB64));
+  const ok = await rewriteVault(currentUser, rec, key);
+  for (const id of ["accCurrentPw", "accNewPw", "accNewPw2"]) $(id).value = "";
+  if (!ok) return showMsg(msg, "Could not save the new password; the old one still works.", true);
+  showMsg(msg, "Password changed. Your runs, sessions and meets are re-encrypted.");
+}
 
-    // Remove
-    td = document.createElement("td");
-    const btn = document.createElement("button");
-    btn.className = "danger";
-    btn.textContent = "Remove";
-    btn.addEventListener("click", () => {
-      const idx = rows.findIndex(r => r.id === row.id);
-      if (idx >= 0) rows.splice(idx, 1);
-      setMeetRows(currentUser, rows);
-      renderMeet();
-    });
-    td.appendChild(btn);
-    tr.appendChild(td);
+// Opens what a forgotten-password reset set aside, with the password it was
+// sealed under, and merges it into the account like a "my data" backup.
+async function recoverSetAside() {
+  const msg = $("recoverMsg");
+  const password = $("accOldPw").value;
+  const u = getUsers()[currentUser];
+  let entry = null;
+  for (const q of u.setAside || []) {
+    if (bytesToB64(await pbkdf2Hash(password, b64ToBytes(q.saltB64))) === q.hashB64) {
+      entry = q;
+      break;
+    }
+  }
+  if (!entry) return showMsg(msg, "That is not the old password.", true);
+
+  const key = entry.encSaltB64 ? await deriveDataKey(password, b64ToBytes(entry.encSaltB64)) : null;
+  let bad = 0;
+  const open = async (rec, aad) => {
+    if (!isSealed(rec)) return rec;
+    try { return await openJSON(key, aad, rec); }
+    catch {
+      bad++;
+      return undefined;
+    }
+  };
+  const runs = [];
+  for (const rec of entry.runs) {
+    const r = await open(rec, `run:${entry.user}:${rec.id}`);
+    if (r) runs.push({ ...r, user: currentUser });
+  }
+  const meets = await open(entry.meets, `meets:${entry.user}`);
+  const practice = await open(entry.practice, `practice:${entry.user}`);
+  const b = {
+    scope: "user",
+    user: currentUser,
+    users: {},
+    runs,
+    meets: meets === undefined ? {} : { [currentUser]: normalizeMeetBook(meets) },
+    practice: practice === undefined ? {} : { [currentUser]: normalizePracticeBook(practice) },
+    rulesets: {},
+    prefs: {}
+  };
+  const plan = planImport(b);
+  mergeImport(b, plan);
+  // Anything that would not open stays set aside.
+  if (!bad && !await putUser(currentUser, { ...u, setAside: u.setAside.filter(q => q !== entry) })) {
+    return showMsg(msg, "Recovered the data, but could not clear the set-aside copy.", true);
+  }
+  refreshImported();
+  renderAccount();
+  showMsg(msg, `Recovered ${plan.runsNew.length} run(s)` +
+    (plan.conflicts.length ? `; kept this account's copy for ${plan.conflicts.length} conflict(s)` : "") +
+    (bad ? `; ${bad} record(s) could not be opened and stay set aside.` : "."), !!bad);
+}
 
-    tbody.appendChild(tr);
+// Rulesets, preferences and timer states are keyed by username outside the
+// vault; `to` = null drops them.
+function moveUserSettings(from, to) {
+  for (const key of [LS.RULESETS, LS.PREFS]) {
+    const all = loadJSON(key, {});
+    if (all[from] !== undefined && to) all[to] = all[from];
+    delete all[from];
+    saveJSON(key, all);
+  }
+  const timers = loadJSON(LS.TIMERS, {});
+  for (const k of Object.keys(timers)) {
+    if (!k.startsWith(`${from}:`)) continue;
+    if (to) timers[`${to}:${k.slice(from.length + 1)}`] = timers[k];
+    delete timers[k];
   }
+  saveJSON(LS.TIMERS, timers);
 }
 
-function addMeetTeam() {
-  const rows = getMeetRows(currentUser);
-  rows.push({
-    id: uid(),
-    team: "",
-    notImpounded: false,
-    run1: {
-      vehicleDistanceCm: "",
-      time1: "", time2: "", time3: "",
-      bucketBonus: false,
-      failedRun: false, // you can add a column for this later if you want
-      competitionViolationPoints: false,
-      constructionViolationPoints: false
-    },
-    run2: {
-      vehicleDistanceCm: "",
-      time1: "", time2: "", time3: "",
-      bucketBonus: false,
-      failedRun: false,
-      competitionViolationPoints: false,
-      constructionViolationPoints: false
-    }
-  });
-  setMeetRows(currentUser, rows);
-  renderMeet();
-  showMsg($("meetMsg"), "Added team row.");
+async function renameAccount() {
+  const msg = $("renameMsg");
+  const name = $("accNewName").value.trim();
+  if (name.length < 3) return showMsg(msg, "Username must be at least 3 characters.", true);
+  if (name === currentUser) return showMsg(msg, "That is already your username.", true);
+  if (getUsers()[name]) return showMsg(msg, "That username already exists.", true);
+
+  const from = currentUser;
+  const ok = await rewriteVault(name, getUsers()[from], vault.key);
+  if (!ok) return showMsg(msg, "Could not rename the account.", true);
+  moveUserSettings(from, name);
+  currentUser = name;
+  setSession(name);
+  $("who").textContent = name;
+  $("accNewName").value = "";
+  clearHistory();
+  showMsg(msg, `Renamed ${from} to ${name}. Log in with the new name from now on.`);
 }
 
-function clearMeet() {
-  const ok = confirm("Clear the meet table for this user on this device?");
+async function deleteAccount() {
+  const msg = $("deleteMsg");
+  const user = currentUser;
+  if (!await verifyUser(user, $("accDeletePw").value)) return showMsg(msg, "Password is wrong.", true);
+  const ok = confirm(`Delete ${user} and all of its runs, sessions, meets, rulesets and settings from this browser? This cannot be undone.`);
   if (!ok) return;
-  setMeetRows(currentUser, []);
-  renderMeet();
-  showMsg($("meetMsg"), "Cleared meet table.");
+
+  if (!await removeUserData(user)) return showMsg(msg, "Could not delete the account.", true);
+  moveUserSettings(user, null);
+  clearSession();
+  setLoggedOutUI();
+  showMsg($("authMsg"), `Deleted account ${user}.`);
 }
 
-function exportMeetCSV() {
-  const rows = getMeetRows(currentUser);
+// From the login card: sets the typed password on the typed account, once its
+// reset code is given. The account gets a new code.
+async function resetForgottenPassword() {
+  const username = $("username").value.trim();
+  const password = $("password").value;
+  const u = getUsers()[username];
+  if (!u) return showMsg($("authMsg"), "Type the username to reset, and a new password.", true);
+  if (password.length < 6) return showMsg($("authMsg"), "Type a new password of at least 6 characters.", true);
+  if (!u.resetHashB64) {
+    return showMsg($("authMsg"), `${username} has no reset code, so its password cannot be reset. Import a "my data" backup into a new account instead.`, true);
+  }
+  const typed = prompt(`To reset ${username}'s password, type its reset code (shown when the account was created, or made on its Account tab).`);
+  if (typed === null) return;
+  if (!await verifyResetCode(u, typed)) return showMsg($("authMsg"), "That is not this account's reset code.", true);
+  const ok = confirm(
+    `Runs and meets are encrypted with the old password, so after the reset ${username} cannot read them. ` +
+    `They are set aside, not erased: the Account tab recovers them if the old password comes back to you, ` +
+    `and a "my data" backup can be imported instead.\n\nReset the password?`
+  );
+  if (!ok) return;
 
-  const out = rows.map(row => {
-    const r1 = computeScore(row.run1);
-    const r2 = computeScore(row.run2);
-    const best = Math.min(r1.total, r2.total);
-    const final = best + (row.notImpounded ? 5000 : 0);
+  try {
+    const code = newResetCode();
+    const rec = { ...await newUserRecord(password, u.createdAt), ...await resetCodeRecord(code) };
+    if (!await removeUserData(username, rec)) throw new Error("Could not reset the password.");
+    await openSession(username, await userDataKey(username, password));
+    showResetCode(code, "Password reset; the old reset code no longer works. ");
+  } catch (e) {
+    showMsg($("authMsg"), e.message || "Could not reset the password.", true);
+  }
+}
 
-    return {
-      team: row.team || "",
-      notImpounded: !!row.notImpounded,
-
-      run1_distCm: row.run1.vehicleDistanceCm ?? "",
-      run1_t1: row.run1.time1 ?? "",
-      run1_t2: row.run1.time2 ?? "",
-      run1_t3: row.run1.time3 ?? "",
-      run1_timeAvg: r1.timeAvg,
-      run1_bucket: !!row.run1.bucketBonus,
-      run1_cv: !!row.run1.competitionViolationPoints,
-      run1_conv: !!row.run1.constructionViolationPoints,
-      run1_score: r1.total,
-
-      run2_distCm: row.run2.vehicleDistanceCm ?? "",
-      run2_t1: row.run2.time1 ?? "",
-      run2_t2: row.run2.time2 ?? "",
-      run2_t3: row.run2.time3 ?? "",
-      run2_timeAvg: r2.timeAvg,
-      run2_bucket: !!row.run2.bucketBonus,
-      run2_cv: !!row.run2.competitionViolationPoints,
-      run2_conv: !!row.run2.constructionViolationPoints,
-      run2_score: r2.total,
-
-      bestOf2: best,
-      finalMeetScore: final
-    };
-  });
+// ---------- Auth UI ----------
+async function openSession(user, key) {
+  await unlockVault(user, key);
+  vault.kept = $("keepUnlocked").checked;
+  await (vault.kept ? saveSessionKey(user, key) : forgetSessionKey(user));
+  setSession(user);
+  setAuthedUI(user);
+}
 
-  const headers = Object.keys(out[0] || { team: "" });
-  download(`scrambler_meet_${currentUser}.csv`, toCSV(out, headers), "text/csv");
+// A reload keeps the login only if its key was kept ("Stay unlocked").
+async function restoreSession() {
+  const sess = getSession();
+  const user = sess?.user;
+  if (user && idleLockExpired(sess)) return lockForIdle(user);
+  const key = user && getUsers()[user] ? await loadSessionKey(user).catch(() => null) : null;
+  if (!key) {
+    clearSession();
+    setLoggedOutUI();
+    if (user) showMsg($("authMsg"), "Log in again to unlock your data.");
+    return;
+  }
+  await unlockVault(user, key);
+  vault.kept = true;
+  setAuthedUI(user);
 }
 
-// ---------- Auth UI ----------
 function setAuthedUI(user) {
   currentUser = user;
+  lastActivity = Date.now();
   $("who").textContent = user;
   $("authCard").classList.add("hidden");
   $("app").classList.remove("hidden");
 
+  editingRunId = null;
+  setRunEditUI(null);
+  clearHistory();
+  renderTimerSettings("p");
+  renderTimerSettings("m");
+  pTimer.updateUI();
+  mTimer.updateUI();
+  fillRulesetSelect($("practiceRuleset"), getPrefs(user).practiceRulesetId);
+  applyPracticeRulesetLabels();
+  updateScorePreview();
+
   setTab("practice");
+  renderSessions();
+  renderVehicles();
   renderRunsTable();
   renderChart();
   renderPracticeSummary();
@@ -821,17 +4784,69 @@ function setAuthedUI(user) {
 
 function setLoggedOutUI() {
   currentUser = null;
+  clearHistory();
+  lockVault();
+  forgetSessionKeys();
+  $("keepUnlocked").checked = false;
   $("authCard").classList.remove("hidden");
   $("app").classList.add("hidden");
   $("password").value = "";
   $("authMsg").textContent = "";
 }
 
+// ---------- Offline / updates ----------
+// sw.js precaches the app. A new deploy installs in the background and waits;
+// the banner lets the user switch when it suits them (not mid-run).
+let waitingWorker = null;
+let updateRequested = false;
+
+function showUpdateBanner(worker) {
+  waitingWorker = worker;
+  $("updateBanner").classList.remove("hidden");
+}
+
+function applyUpdate() {
+  if (!waitingWorker) return;
+  updateRequested = true;
+  waitingWorker.postMessage({ type: "SKIP_WAITING" });
+}
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+
+  navigator.serviceWorker.register("sw.js").then((reg) => {
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+    reg.addEventListener("updatefound", () => {
+      const w = reg.installing;
+      if (!w) return;
+      w.addEventListener("statechange", () => {
+        if (w.state === "installed" && navigator.serviceWorker.controller) showUpdateBanner(w);
+        if (w.state === "activated" && !navigator.serviceWorker.controller) $("offlineStatus").textContent = "Ready to work offline";
+      });
+    });
+    // Pages left open all day at a meet still notice a new version.
+    setInterval(() => reg.update().catch(() => {}), 60 * 60 * 1000);
+  }).catch(() => {
+    $("offlineStatus").textContent = "Offline mode unavailable in this browser";
+  });
+
+  // Only reload for an update the user asked for; the first install also
+  // changes controller and must not reload the page.
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (updateRequested) location.reload();
+  });
+}
+
 // ---------- Wire ----------
 function wire() {
   // Timers
-  pTimer = createTimer("p");
-  mTimer = createTimer("m");
+  pTimer = createTimer("p", () => timerKey("p"), { display: $("pTimerDisplay"), state: $("pTimerState"), card: $("pTimerCard") });
+  mTimer = createTimer("m", () => timerKey("m"), { display: $("mTimerDisplay"), state: $("mTimerState"), card: $("mTimerCard") });
+  setInterval(tickTimers, 250);
+  document.addEventListener("visibilitychange", tickTimers);
+  for (const prefix of ["p", "m"]) {
+    $(`${prefix}TimerSaveSettings`).addEventListener("click", () => saveTimerSettings(prefix));
+  }
 
   $("pTimerStart").addEventListener("click", pTimer.start);
   $("pTimerPause").addEventListener("click", pTimer.pause);
@@ -843,9 +4858,33 @@ function wire() {
   $("mTimerResume").addEventListener("click", mTimer.resume);
   $("mTimerRestart").addEventListener("click", mTimer.restart);
 
+  // Stopwatches
+  pStopwatch = createStopwatch("p", fillPracticeTime);
+  mStopwatch = createStopwatch("m", fillMeetTime);
+  for (const [prefix, sw] of [["p", pStopwatch], ["m", mStopwatch]]) {
+    $(`${prefix}SwStart`).addEventListener("click", sw.start);
+    $(`${prefix}SwReset`).addEventListener("click", sw.reset);
+    [0, 1, 2].forEach(i => $(`${prefix}SwStop${i + 1}`).addEventListener("click", () => sw.stop(i)));
+  }
+  // Keys go to the stopwatch of whichever tab is showing.
+  document.addEventListener("keydown", (e) => {
+    if (!currentUser || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (!$("practiceTab").classList.contains("hidden")) pStopwatch.onKey(e);
+    else if (!$("meetTab").classList.contains("hidden")) mStopwatch.onKey(e);
+  });
+  document.addEventListener("keydown", onHistoryKey);
+
   // Tabs
   $("tabPractice").addEventListener("click", () => setTab("practice"));
   $("tabMeet").addEventListener("click", () => setTab("meet"));
+  $("tabRules").addEventListener("click", () => setTab("rules"));
+  $("tabData").addEventListener("click", () => setTab("data"));
+  $("tabAccount").addEventListener("click", () => setTab("account"));
+
+  // Storage problems
+  $("btnStorageRaw").addEventListener("click", downloadUnreadable);
+  $("btnStorageDiscard").addEventListener("click", discardUnreadable);
+  $("btnStorageDismiss").addEventListener("click", () => $("storageBanner").classList.add("hidden"));
 
   // Auth
   $("btnSignup").addEventListener("click", async () => {
@@ -855,10 +4894,9 @@ function wire() {
     if (password.length < 6) return showMsg($("authMsg"), "Password must be at least 6 characters.", true);
 
     try {
-      await createUser(username, password);
-      setSession(username);
-      showMsg($("authMsg"), "Account created. Logged in.");
-      setAuthedUI(username);
+      const code = await createUser(username, password);
+      await openSession(username, await userDataKey(username, password));
+      showResetCode(code, "Account created. If you ever forget your password, only this code resets it. ");
     } catch (e) {
       showMsg($("authMsg"), e.message || "Could not create account.", true);
     }
@@ -872,11 +4910,18 @@ function wire() {
     const ok = await verifyUser(username, password);
     if (!ok) return showMsg($("authMsg"), "Login failed.", true);
 
-    setSession(username);
-    showMsg($("authMsg"), "Logged in.");
-    setAuthedUI(username);
+    try {
+      await openSession(username, await userDataKey(username, password));
+      showMsg($("authMsg"), "Logged in.");
+    } catch (e) {
+      showMsg($("authMsg"), e.message || "Could not unlock your data.", true);
+    }
   });
 
+  $("btnResetPassword").addEventListener("click", resetForgottenPassword);
+
+  $("btnUndo").addEventListener("click", undoChange);
+  $("btnRedo").addEventListener("click", redoChange);
   $("btnLogout").addEventListener("click", () => {
     clearSession();
     setLoggedOutUI();
@@ -884,10 +4929,22 @@ function wire() {
 
   // Practice
   $("btnCalc").addEventListener("click", () => { $("runMsg").textContent = ""; updateScorePreview(); });
+  $("sessionSelect").addEventListener("change", selectSession);
+  $("btnStartSession").addEventListener("click", startSession);
+  $("btnSaveSession").addEventListener("click", saveSession);
+  $("btnEndSession").addEventListener("click", endSession);
+  $("vehicleSelect").addEventListener("change", () => { shownVehicleId = $("vehicleSelect").value; renderVehicles(); });
+  $("btnAddVehicle").addEventListener("click", addVehicle);
+  $("btnAddRevision").addEventListener("click", addRevision);
+  $("btnDeleteVehicle").addEventListener("click", deleteVehicle);
+  $("practiceBuild").addEventListener("change", () => {
+    if (!editingRunId) setPrefs(currentUser, { practiceRevisionId: $("practiceBuild").value });
+  });
+
   $("btnSave").addEventListener("click", () => { $("runMsg").textContent = ""; updateScorePreview(); saveRun(); });
 
   [
-    "vehicleDistanceCm",
+    "vehicleDistanceCm","distanceSide",
     "runTimeS1","runTimeS2","runTimeS3",
     "bucketBonus","failedRun",
     "competitionViolation","constructionViolation"
@@ -896,26 +4953,88 @@ function wire() {
     $(id).addEventListener("change", updateScorePreview);
   });
 
+  $("btnCancelEdit").addEventListener("click", cancelRunEdit);
+
+  $("practiceRuleset").addEventListener("change", () => {
+    if (!editingRunId) setPrefs(currentUser, { practiceRulesetId: $("practiceRuleset").value });
+    applyPracticeRulesetLabels();
+    updateScorePreview();
+  });
+
   $("btnExportRuns").addEventListener("click", exportRunsCSV);
+  for (const id of RUNS_FILTER_TEXT) $(id).addEventListener("input", onRunsFilterChange);
+  for (const id of [...RUNS_FILTER_SELECTS, "runsPageSize"]) $(id).addEventListener("change", onRunsFilterChange);
+  $("runsFilterChart").addEventListener("change", renderChart);
+  $("runsFilterSummary").addEventListener("change", renderPracticeSummary);
+  $("btnClearRunsFilter").addEventListener("click", clearRunsFilter);
+  for (const th of $("runsTable").querySelectorAll("th[data-sort]")) th.addEventListener("click", () => setRunsSort(th.dataset.sort));
+  $("btnRunsPrev").addEventListener("click", () => { runsView.page--; renderRunsTable(); });
+  $("btnRunsNext").addEventListener("click", () => { runsView.page++; renderRunsTable(); });
   $("btnClearRuns").addEventListener("click", clearMyRuns);
+  $("btnEmptyTrash").addEventListener("click", emptyTrash);
 
   $("chartMode").addEventListener("change", renderChart);
+  $("chartSeriesBy").addEventListener("change", renderChart);
   $("btnExportChart").addEventListener("click", exportChartCSV);
 
   $("btnApplyPractice").addEventListener("click", renderPracticeSummary);
+  $("summaryRankBy").addEventListener("change", renderPracticeSummary);
+  $("summaryGroupBy").addEventListener("change", renderPracticeSummary);
   $("btnExportPractice").addEventListener("click", exportPracticeSummaryCSV);
+  $("btnRecommend").addEventListener("click", renderRecommendation);
 
   // Meet
   $("btnAddTeam").addEventListener("click", addMeetTeam);
-  $("btnExportMeet").addEventListener("click", exportMeetCSV);
+  $("btnImportRoster").addEventListener("click", importRoster);
+  $("rosterFile").addEventListener("change", loadRosterFile);
+  $("btnExportMeet").addEventListener("click", () => exportMeetCSV());
+  $("btnExportMeetLog").addEventListener("click", () => exportMeetLogCSV());
+  $("meetLogTeam").addEventListener("change", () => renderMeetLog());
+  $("meetTable").addEventListener("keydown", onMeetTableKey);
+  $("btnPrintSheets").addEventListener("click", () => printScoresheets());
+  $("btnPrintResults").addEventListener("click", printResults);
+  $("btnNewMeet").addEventListener("click", createMeet);
+  $("meetSelect").addEventListener("change", () => switchMeet($("meetSelect").value));
+  $("meetName").addEventListener("change", () => updateMeetInfo({ name: $("meetName").value.trim() || "Meet" }));
+  $("meetDate").addEventListener("change", () => updateMeetInfo({ date: $("meetDate").value }));
+  $("btnArchiveMeet").addEventListener("click", () => setMeetArchived(!getMeet(currentUser).archived));
+  $("meetUnlock").addEventListener("change", () => { meetUnlocked = $("meetUnlock").checked; renderMeet(); });
   $("btnClearMeet").addEventListener("click", clearMeet);
+  $("btnDeleteMeet").addEventListener("click", deleteMeet);
+  $("meetRuleset").addEventListener("change", () => setMeetRuleset($("meetRuleset").value));
+  [1, 2, 3].forEach(i => $(`meetTieBreak${i}`).addEventListener("change", setMeetTieBreaks));
+
+  // Rules
+  $("btnSaveRuleset").addEventListener("click", saveCustomRuleset);
+
+  // Data
+  $("btnBackupUser").addEventListener("click", () => exportBackup("user"));
+  $("btnBackupDevice").addEventListener("click", () => exportBackup("device"));
+  $("backupFile").addEventListener("change", previewBackupFile);
+  $("btnImportMerge").addEventListener("click", () => applyBackup("merge"));
+  $("btnImportReplace").addEventListener("click", () => applyBackup("replace"));
+  $("csvFile").addEventListener("change", loadCSVImportFile);
+  $("btnCsvCommit").addEventListener("click", commitCSVImport);
+
+  // Account
+  $("btnChangePassword").addEventListener("click", changePassword);
+  $("btnRecoverSetAside").addEventListener("click", recoverSetAside);
+  $("btnNewResetCode").addEventListener("click", makeResetCode);
+  $("btnRenameAccount").addEventListener("click", renameAccount);
+  $("btnSaveIdleLock").addEventListener("click", saveIdleLock);
+  $("btnDeleteAccount").addEventListener("click", deleteAccount);
+  for (const ev of ["pointerdown", "keydown", "wheel"]) document.addEventListener(ev, noteActivity, { passive: true });
+  setInterval(checkIdleLock, 5000);
+
+  // Offline
+  $("btnUpdateApp").addEventListener("click", applyUpdate);
+  $("btnUpdateLater").addEventListener("click", () => $("updateBanner").classList.add("hidden"));
+  registerServiceWorker();
 
   // Restore session
-  const sess = getSession();
-  if (sess?.user) setAuthedUI(sess.user);
-  else setLoggedOutUI();
+  restoreSession();
 
   updateScorePreview();
 }
 
-wire();
+initStorage().then(wire);
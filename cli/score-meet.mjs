@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/* Checks a meet CSV written by the Meet tab's "Export Meet CSV": rebuilds every
+   team from the inputs in the file, scores and places them again with
+   scoring.mjs, and lists each computed column that does not match.
+
+     node cli/score-meet.mjs meet.csv [--tie-breaks otherRun,distance,time] [--ruleset ruleset.json]
+
+   The file does not record the meet's tie-breaks, so pass them if the meet did
+   not use the default order. Custom rulesets are not in the file either: give
+   one as a JSON object with the fields of the built-in rulesets in scoring.mjs.
+   Exit status: 0 when everything matches, 1 on mismatches, 2 when the file
+   cannot be checked.
+*/
+import { readFileSync } from "node:fs";
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import {
+  BUILTIN_RULESETS, TIE_BREAKS, DEFAULT_TIE_BREAKS, computeStandings,
+  meetCSVRecord, MEET_CSV_HEADERS, MEET_CSV_COMPUTED
+} from "../scoring.mjs";
+import { parseCSV, parseBool } from "../csv.mjs";
+
+// Files from before team numbers, schools and the order of run can lack these.
+const OPTIONAL_COLUMNS = ["runOrder", "teamNumber", "school", "checkIn"];
+
+// Scores in the file are rounded to 2 decimals.
+const TOLERANCE = 0.005;
+
+// A team row rebuilt from one CSV line (`rec` is keyed by header).
+export function meetRowFromCSV(rec, line) {
+  const bool = (v) => parseBool(v ?? "") === true;
+  const run = (p) => ({
+    status: rec[`${p}_status`] || "ok",
+    vehicleDistanceCm: rec[`${p}_distCm`] ?? "",
+    time1: rec[`${p}_t1`] ?? "",
+    time2: rec[`${p}_t2`] ?? "",
+    time3: rec[`${p}_t3`] ?? "",
+    bucketBonus: bool(rec[`${p}_bucket`]),
+    competitionViolationPoints: bool(rec[`${p}_cv`]),
+    constructionViolationPoints: bool(rec[`${p}_conv`])
+  });
+  return {
+    id: `line${line}`,
+    runOrder: rec.runOrder ? Number(rec.runOrder) : undefined,
+    teamNumber: rec.teamNumber || "",
+    team: rec.team || "",
+    school: rec.school || "",
+    checkIn: rec.checkIn || "pending",
+    notImpounded: bool(rec.notImpounded),
+    noShow: bool(rec.noShow),
+    run1: run("run1"),
+    run2: run("run2")
+  };
+}
+
+function sameValue(fileValue, expected) {
+  const a = String(fileValue ?? "").trim(), b = String(expected ?? "").trim();
+  if (a === "" || b === "") return a === b;
+  const x = Number(a), y = Number(b);
+  if (Number.isFinite(x) && Number.isFinite(y)) return Math.abs(x - y) <= TOLERANCE;
+  return a === b;
+}
+
+function pickRuleset(records, ruleset) {
+  if (ruleset) return ruleset;
+  const ids = [...new Set(records.map(r => r.ruleset || ""))];
+  if (ids.length > 1) throw new Error(`the file mixes rulesets (${ids.join(", ")})`);
+  const found = BUILTIN_RULESETS.find(r => r.id === ids[0]);
+  if (!found) throw new Error(`ruleset "${ids[0]}" is not built in; pass its definition with --ruleset <file.json>`);
+  return found;
+}
+
+// Recomputes a meet CSV. Returns the ruleset used, the team count and one
+// mismatch per differing cell, in file order.
+export function checkMeetCSV(text, { ruleset = null, tieBreaks = DEFAULT_TIE_BREAKS } = {}) {
+  const unknown = tieBreaks.filter(k => !TIE_BREAKS[k]);
+  if (unknown.length) throw new Error(`unknown tie-break(s): ${unknown.join(", ")} (use ${Object.keys(TIE_BREAKS).join(", ")})`);
+
+  const [header, ...body] = parseCSV(text);
+  if (!header) throw new Error("the file is empty");
+  const missing = MEET_CSV_HEADERS.filter(h => !OPTIONAL_COLUMNS.includes(h) && !header.includes(h));
+  if (missing.length) throw new Error(`not a meet CSV; missing column(s): ${missing.join(", ")}`);
+
+  const records = body.map(cells => Object.fromEntries(header.map((h, i) => [h, cells[i] ?? ""])));
+  const rules = pickRuleset(records, ruleset);
+  // Line numbers count the header as line 1.
+  const rows = records.map((rec, i) => meetRowFromCSV(rec, i + 2));
+  const entryOf = new Map(computeStandings(rows, rules, tieBreaks).map(e => [e.row.id, e]));
+
+  const mismatches = [];
+  rows.forEach((row, i) => {
+    const expected = meetCSVRecord(entryOf.get(row.id), rules);
+    for (const column of MEET_CSV_COMPUTED) {
+      if (sameValue(records[i][column], expected[column])) continue;
+      mismatches.push({ line: i + 2, team: records[i].team || "(unnamed)", column, file: records[i][column], expected: expected[column] });
+    }
+  });
+  return { rules, teams: rows.length, mismatches };
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      "tie-breaks": { type: "string" },
+      ruleset: { type: "string" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+  if (values.help || positionals.length !== 1) {
+    (values.help ? console.log : console.error)("usage: node cli/score-meet.mjs meet.csv [--tie-breaks otherRun,distance,time] [--ruleset ruleset.json]");
+    return values.help ? 0 : 2;
+  }
+
+  const tieBreaks = values["tie-breaks"] ? values["tie-breaks"].split(",").map(s => s.trim()).filter(Boolean) : DEFAULT_TIE_BREAKS;
+  const ruleset = values.ruleset ? JSON.parse(readFileSync(values.ruleset, "utf8")) : null;
+  const { rules, teams, mismatches } = checkMeetCSV(readFileSync(positionals[0], "utf8"), { ruleset, tieBreaks });
+
+  const show = (v) => (String(v ?? "").trim() === "" ? "(blank)" : String(v));
+  console.log(`Checked ${teams} team(s) with ${rules.name} (tie-breaks: ${tieBreaks.join(", ") || "none"}).`);
+  for (const m of mismatches) {
+    console.log(`  line ${m.line}, ${m.team}: ${m.column} is ${show(m.file)}, expected ${show(m.expected)}`);
+  }
+  console.log(mismatches.length ? `${mismatches.length} mismatch(es).` : "Every score and place matches.");
+  return mismatches.length ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error(`score-meet: ${e.message}`);
+    process.exitCode = 2;
+  }
+}
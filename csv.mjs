@@ -0,0 +1,47 @@
+/* CSV reading and writing, shared by the page (app.js) and cli/score-meet.mjs. */
+
+export function toCSV(rows, headers) {
+  const esc = (v) => {
+    const s = String(v ?? "");
+    if (/[",\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+    return s;
+  };
+  const lines = [];
+  lines.push(headers.map(esc).join(","));
+  for (const row of rows) lines.push(headers.map(h => esc(row[h])).join(","));
+  return lines.join("\n");
+}
+
+export function parseCSV(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field); field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push(row); row = [];
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ""));
+}
+
+export function parseBool(v) {
+  const s = String(v).trim().toLowerCase();
+  if (["", "n", "no", "false", "0"].includes(s)) return false;
+  if (["y", "yes", "true", "1", "x"].includes(s)) return true;
+  return null;
+}
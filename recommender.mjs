@@ -0,0 +1,135 @@
+/* Setup recommender: the travel model fitted on dial turns and winds, and the
+   statistics it needs. No DOM or storage; the page (app.js) renders the results.
+   Tested with: node --test test/
+*/
+
+import { num } from "./scoring.mjs";
+
+// Fits travelled distance (cm) = a + b·dialTurns [+ c·winds] by least squares
+// over runs with a recorded distance and stopping side, then solves for the dial
+// turns that reach a new target at each winds count already used.
+
+// A distance left blank is saved as "" (Run Recorder and CSV import) and is no
+// measurement (null); a recorded 0 stopped on the target. Runs saved before
+// blanks were kept stored 0 for them and cannot be told apart.
+export function travelledCm(r) {
+  if (String(r.vehicleDistanceCm ?? "").trim() === "") return null;
+  const d = num(r.vehicleDistanceCm);
+  const target = num(r.targetDistanceM) * 100;
+  if (d === 0) return target;
+  if (r.distanceSide === "short") return target - d;
+  if (r.distanceSide === "past") return target + d;
+  return null;
+}
+
+export function modelRuns(runs) {
+  return runs.filter(r =>
+    !r.failedRun && num(r.targetDistanceM) > 0 && num(r.dialTurns) > 0 && travelledCm(r) !== null);
+}
+
+// Inverse of a small square matrix by Gauss-Jordan; null when singular.
+function invertMatrix(m) {
+  const n = m.length;
+  const a = m.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(a[r][c]) > Math.abs(a[p][c])) p = r;
+    if (Math.abs(a[p][c]) < 1e-12) return null;
+    [a[c], a[p]] = [a[p], a[c]];
+    const div = a[c][c];
+    for (let k = 0; k < 2 * n; k++) a[c][k] /= div;
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = a[r][c];
+      for (let k = 0; k < 2 * n; k++) a[r][k] -= f * a[c][k];
+    }
+  }
+  return a.map(row => row.slice(n));
+}
+
+// Ordinary least squares. X rows already include the intercept column.
+export function fitLinear(X, y) {
+  const p = X[0].length, n = X.length;
+  const xtx = Array.from({ length: p }, (_, i) => Array.from({ length: p }, (_, j) => X.reduce((s, row) => s + row[i] * row[j], 0)));
+  const xty = Array.from({ length: p }, (_, i) => X.reduce((s, row, k) => s + row[i] * y[k], 0));
+  const inv = invertMatrix(xtx);
+  if (!inv) return null;
+
+  const coef = inv.map(row => row.reduce((s, v, j) => s + v * xty[j], 0));
+  const predict = (x) => x.reduce((s, v, i) => s + v * coef[i], 0);
+  const resid = X.map((row, k) => y[k] - predict(row));
+  const sse = resid.reduce((s, e) => s + e * e, 0);
+  const mean = y.reduce((s, v) => s + v, 0) / n;
+  const sst = y.reduce((s, v) => s + (v - mean) ** 2, 0);
+  const df = n - p;
+  return {
+    coef, inv, resid, df,
+    sigma: df > 0 ? Math.sqrt(sse / df) : NaN,
+    r2: sst > 0 ? 1 - sse / sst : NaN,
+    predict,
+    // Standard error of a single new observation at x (prediction, not mean).
+    predictSE: (x) => {
+      const q = x.reduce((s, xi, i) => s + xi * x.reduce((t, xj, j) => t + inv[i][j] * xj, 0), 0);
+      return Math.sqrt(1 + q) * (df > 0 ? Math.sqrt(sse / df) : NaN);
+    }
+  };
+}
+
+// Two-sided 95% Student t critical values, per df up to 30. Past that each
+// step uses the value at its lowest df, so intervals err wide rather than narrow.
+export function tCrit95(df) {
+  const table = [
+    12.71, 4.30, 3.18, 2.78, 2.57, 2.45, 2.36, 2.31, 2.26, 2.23,
+    2.20, 2.18, 2.16, 2.14, 2.13, 2.12, 2.11, 2.10, 2.09, 2.09,
+    2.08, 2.07, 2.07, 2.06, 2.06, 2.06, 2.05, 2.05, 2.05, 2.04
+  ];
+  if (df < 1) return NaN;
+  if (df <= table.length) return table[df - 1];
+  if (df <= 40) return 2.04;
+  if (df <= 60) return 2.02;
+  if (df <= 120) return 2.00;
+  return 1.98;
+}
+
+export function recommendSetup(runs, targetM) {
+  const used = modelRuns(runs);
+  const distinct = (vals) => new Set(vals.map(v => v.toFixed(4))).size;
+  const turns = used.map(r => num(r.dialTurns));
+  const winds = used.map(r => num(r.winds));
+
+  if (distinct(turns) < 2) {
+    return { error: "Need runs at two or more different dial-turn settings with a known stopping side (short/past)." };
+  }
+  const withWinds = distinct(winds) > 1;
+  const X = used.map(r => withWinds ? [1, num(r.dialTurns), num(r.winds)] : [1, num(r.dialTurns)]);
+  const y = used.map(travelledCm);
+  const fit = fitLinear(X, y);
+  if (!fit || fit.df < 1) {
+    return { error: `Need more runs to fit the model (have ${used.length}, need at least ${X[0].length + 1}).` };
+  }
+  if (Math.abs(fit.coef[1]) < 1e-9) return { error: "Dial turns show no effect on distance in these runs." };
+
+  const goal = targetM * 100;
+  const t = tCrit95(fit.df);
+  const [tMin, tMax] = [Math.min(...turns), Math.max(...turns)];
+  const windOptions = withWinds ? [...new Set(winds)].sort((a, b) => a - b) : [winds[0]];
+
+  const options = windOptions.map(w => {
+    const rest = withWinds ? fit.coef[0] + fit.coef[2] * w : fit.coef[0];
+    const dial = (goal - rest) / fit.coef[1];
+    const x = withWinds ? [1, dial, w] : [1, dial];
+    const band = t * fit.predictSE(x);
+    return {
+      winds: w,
+      dialTurns: dial,
+      predictedCm: fit.predict(x),
+      bandCm: band,
+      extrapolated: dial < tMin || dial > tMax,
+      runsAtWinds: used.filter(r => num(r.winds) === w).length
+    };
+  }).filter(o => Number.isFinite(o.dialTurns) && o.dialTurns > 0);
+
+  // Settings inside the tested range first, then the tightest prediction band.
+  options.sort((a, b) => (a.extrapolated - b.extrapolated) || (a.bandCm - b.bandCm));
+  return { fit, withWinds, used, options, goal };
+}
@@ -0,0 +1,249 @@
+/* Scrambler scoring core: the score formula, best-of-2 and meet placement.
+   No DOM or storage, so the page (app.js), the tests (test/) and the command-line
+   meet checker (cli/score-meet.mjs) all score with exactly the same code.
+   Run the tests with: node --test test/
+*/
+
+// ---------- Numbers ----------
+export function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+export function round2(x) { return Math.round(x * 100) / 100; }
+
+// ---------- Time averaging ----------
+// Non-numeric and negative times are not part of the average, but a blank one
+// counts as 0 s (Number("") is 0); a run with no times averages 0.
+export function avgOfTimes(t1, t2, t3) {
+  const arr = [t1, t2, t3]
+    .map(Number)
+    .filter(v => Number.isFinite(v) && v >= 0);
+  if (!arr.length) return 0;
+  return arr.reduce((a,b)=>a+b,0) / arr.length;
+}
+
+// ---------- Rulesets ----------
+// A ruleset holds every constant the score formula uses. A term set to null is
+// not part of that ruleset (its control is hidden/disabled). Runs and meets store
+// the id of the ruleset that scored them, so custom rulesets are never edited in
+// place: change one by duplicating it under a new name.
+export const DEFAULT_RULESET_ID = "divB-2026";
+
+export const BUILTIN_RULESETS = [
+  {
+    id: "divB-2026",
+    name: "2026 Div B",
+    builtIn: true,
+    base: 100,
+    distanceFactor: 2.0,
+    timeFactor: 1.0,
+    bucketBonus: -100,
+    competitionViolation: 150,
+    constructionViolation: 300,
+    failedRun: { mode: "substitute", distanceCm: 2500, timeS: 0, score: 0 },
+    didNotRun: "failed",
+    notImpoundedPenalty: 5000
+  }
+];
+
+// ---------- Run scores ----------
+// Meet runs carry a status; practice runs only have the failedRun flag.
+export const RUN_STATUSES = {
+  ok: "OK",
+  failed: "Failed run",
+  dnr: "Did not run",
+  dq: "Disqualified"
+};
+
+export function runStatus(run) {
+  if (RUN_STATUSES[run.status]) return run.status;
+  return run.failedRun ? "failed" : "ok";
+}
+
+// A run that did not happen is scored as a failed run unless the ruleset says
+// it earns no score. Disqualified runs never score.
+export function computeScore(inp, rules = BUILTIN_RULESETS[0]) {
+  const base = rules.base;
+  const fr = rules.failedRun;
+
+  const status = runStatus(inp);
+  if (status === "dq" || (status === "dnr" && rules.didNotRun === "unscored")) {
+    return {
+      total: null,
+      timeAvg: 0,
+      scored: false,
+      status,
+      breakdown: { base, distCm: 0, distanceScore: 0, timeAvg: 0, timeScore: 0, bucket: 0, penalties: 0, failed: false, fixed: false }
+    };
+  }
+
+  const failed = status === "failed" || status === "dnr";
+  const distCm = failed ? fr.distanceCm : num(inp.vehicleDistanceCm);
+
+  const timeAvg = failed ? fr.timeS : avgOfTimes(inp.time1, inp.time2, inp.time3);
+
+  const distanceScore = rules.distanceFactor * distCm;
+  const timeScore = rules.timeFactor * timeAvg;
+
+  const bucket = inp.bucketBonus && rules.bucketBonus != null ? rules.bucketBonus : 0;
+  const cv = inp.competitionViolationPoints && rules.competitionViolation != null ? rules.competitionViolation : 0;
+  const conv = inp.constructionViolationPoints && rules.constructionViolation != null ? rules.constructionViolation : 0;
+
+  const fixed = failed && fr.mode === "fixed";
+  const total = (fixed ? fr.score : base + distanceScore + timeScore) + bucket + cv + conv;
+
+  return {
+    total: round2(total),
+    timeAvg: round2(timeAvg),
+    scored: true,
+    status,
+    breakdown: {
+      base,
+      distCm: round2(distCm),
+      distanceScore: round2(distanceScore),
+      timeAvg: round2(timeAvg),
+      timeScore: round2(timeScore),
+      bucket,
+      penalties: cv + conv,
+      failed,
+      fixed
+    }
+  };
+}
+
+// ---------- Meet results ----------
+export function meetRunScore(run, rules) {
+  const sc = computeScore(run, rules);
+  return { score: sc.total, timeAvg: sc.timeAvg, status: sc.status };
+}
+
+// Everything the table, standings and CSV need for one team row. Unscored runs
+// (DQ, or did-not-run under rulesets that do not score it) are left out of the
+// best-of-2; a team with no scored run, or a no-show, has no Final.
+export function meetRowResult(row, rules) {
+  const r1 = computeScore(row.run1, rules);
+  const r2 = computeScore(row.run2, rules);
+  const scored = row.noShow ? [] : [[1, r1], [2, r2]].filter(([, r]) => r.scored);
+
+  if (!scored.length) {
+    return {
+      r1, r2, bestRun: null,
+      bestOf2: null, otherScore: null,
+      bestDistCm: null, bestTimeAvg: null, bestFailed: false,
+      final: null
+    };
+  }
+
+  scored.sort((a, b) => a[1].total - b[1].total);
+  const [bestRun, best] = scored[0];
+  const other = scored[1] ? scored[1][1] : null;
+  const bestOf2 = best.total;
+  return {
+    r1, r2, bestRun,
+    bestOf2,
+    otherScore: other ? other.total : null,
+    bestDistCm: best.breakdown.distCm,
+    bestTimeAvg: best.timeAvg,
+    bestFailed: best.breakdown.failed,
+    final: round2(bestOf2 + (row.notImpounded ? rules.notImpoundedPenalty : 0))
+  };
+}
+
+// ---------- Meet standings ----------
+// Teams are placed by tier first, then Final, then the meet's tie-breaks in order.
+// Every tie-break value is "lower is better", like the score itself.
+export const TIE_BREAKS = {
+  otherRun: { label: "Better other run", value: (res) => res.otherScore },
+  distance: { label: "Lower distance (best run)", value: (res) => res.bestDistCm },
+  time: { label: "Lower time (best run)", value: (res) => res.bestTimeAvg }
+};
+export const DEFAULT_TIE_BREAKS = ["otherRun", "distance", "time"];
+
+export const TIERS = {
+  1: "",
+  2: "Tier 2 (failed run)",
+  3: "Tier 3 (not impounded)",
+  4: "Tier 4 (disqualified)",
+  5: "No show"
+};
+
+export function meetTier(row, res) {
+  if (row.noShow) return 5;
+  if (res.final == null) {
+    const dq = [row.run1, row.run2].some(r => runStatus(r) === "dq");
+    return dq ? 4 : 5;
+  }
+  if (row.notImpounded) return 3;
+  if (res.bestFailed) return 2;
+  return 1;
+}
+
+export function computeStandings(rows, rules, tieBreaks) {
+  const breaks = tieBreaks.filter(k => TIE_BREAKS[k]);
+  const entries = rows.map(row => {
+    const res = meetRowResult(row, rules);
+    return { row, res, tier: meetTier(row, res), place: 0 };
+  });
+
+  const keyOf = (e) => [e.tier, e.res.final, ...breaks.map(k => TIE_BREAKS[k].value(e.res))]
+    .map(v => v ?? Infinity);
+  const cmp = (a, b) => {
+    const ka = keyOf(a), kb = keyOf(b);
+    for (let i = 0; i < ka.length; i++) if (ka[i] !== kb[i]) return ka[i] - kb[i];
+    return 0;
+  };
+
+  entries.sort(cmp);
+  // Entries still equal after every tie-break share a place (1, 2, 2, 4).
+  entries.forEach((e, i) => {
+    e.place = i > 0 && cmp(entries[i - 1], e) === 0 ? entries[i - 1].place : i + 1;
+  });
+  return entries;
+}
+
+// ---------- Meet CSV ----------
+// One line per team, as exportMeetCSV writes it: the stored inputs, then what the
+// rules make of them. cli/score-meet.mjs recomputes the MEET_CSV_COMPUTED columns
+// from the rest and reports any that differ.
+export const MEET_CSV_COMPUTED = ["run1_timeAvg", "run1_score", "run2_timeAvg", "run2_score", "bestOf2", "finalMeetScore", "tier", "place"];
+
+// `entry` is a team's computeStandings entry.
+export function meetCSVRecord(entry, rules) {
+  const { row, res, tier, place } = entry;
+  const run = (r, sc) => ({
+    status: runStatus(r),
+    distCm: r.vehicleDistanceCm ?? "",
+    t1: r.time1 ?? "",
+    t2: r.time2 ?? "",
+    t3: r.time3 ?? "",
+    timeAvg: sc.timeAvg,
+    bucket: !!r.bucketBonus,
+    cv: !!r.competitionViolationPoints,
+    conv: !!r.constructionViolationPoints,
+    score: row.noShow ? "" : sc.total
+  });
+  const prefixed = (prefix, fields) => Object.fromEntries(Object.entries(fields).map(([k, v]) => [`${prefix}_${k}`, v]));
+
+  return {
+    runOrder: row.runOrder ?? "",
+    teamNumber: row.teamNumber || "",
+    team: row.team || "",
+    school: row.school || "",
+    checkIn: row.checkIn || "pending",
+    ruleset: rules.id,
+    notImpounded: !!row.notImpounded,
+    noShow: !!row.noShow,
+    ...prefixed("run1", run(row.run1, res.r1)),
+    ...prefixed("run2", run(row.run2, res.r2)),
+    bestOf2: res.bestOf2,
+    finalMeetScore: res.final,
+    tier,
+    place
+  };
+}
+
+export const MEET_CSV_HEADERS = [
+  "runOrder", "teamNumber", "team", "school", "checkIn", "ruleset", "notImpounded", "noShow",
+  ...["run1", "run2"].flatMap(p => ["status", "distCm", "t1", "t2", "t3", "timeAvg", "bucket", "cv", "conv", "score"].map(k => `${p}_${k}`)),
+  "bestOf2", "finalMeetScore", "tier", "place"
+];
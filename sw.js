@@ -0,0 +1,60 @@
+/* Scrambler Tool service worker
+   - Precaches every file the app needs, so it loads and runs with no signal
+   - Cache-first for same-origin GETs; navigations fall back to the cached page
+   - A new version waits until the page asks it to take over (update prompt)
+
+   Deploying a change: bump CACHE_VERSION (and list any new file in ASSETS), or
+   browsers keep serving the previously cached files.
+*/
+
+const CACHE_VERSION = "scrambler-v21";
+
+const ASSETS = [
+  "./",
+  "./index.html",
+  "./styles.css",
+  "./app.js",
+  "./scoring.mjs",
+  "./csv.mjs",
+  "./recommender.mjs",
+  "./manifest.webmanifest",
+  "./vendor/chart.js/chart.umd.js",
+  "./icons/icon.svg",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png"
+];
+
+self.addEventListener("install", (event) => {
+  // cache: "reload" skips the HTTP cache so a new version never precaches stale files.
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then(cache => cache.addAll(ASSETS.map(url => new Request(url, { cache: "reload" }))))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE_VERSION).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.match(req, { ignoreSearch: true }).then(hit => {
+      if (hit) return hit;
+      return fetch(req).catch(() => {
+        if (req.mode === "navigate") return caches.match("./index.html");
+        throw new Error(`Offline and not cached: ${req.url}`);
+      });
+    })
+  );
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCSV, parseCSV, parseBool } from "../csv.mjs";
+
+test("toCSV quotes cells with commas, quotes or line breaks", () => {
+  const text = toCSV([{ a: "x,y", b: 'say "hi"', c: "two\nlines" }, { a: 1, b: null, c: false }], ["a", "b", "c"]);
+  assert.equal(text, 'a,b,c\n"x,y","say ""hi""","two\nlines"\n1,,false');
+});
+
+test("parseCSV reads back what toCSV writes", () => {
+  const rows = [{ a: "x,y", b: 'say "hi"', c: "two\nlines" }];
+  assert.deepEqual(parseCSV(toCSV(rows, ["a", "b", "c"])), [["a", "b", "c"], ["x,y", 'say "hi"', "two\nlines"]]);
+});
+
+test("parseCSV handles a BOM, CRLF and blank lines", () => {
+  assert.deepEqual(parseCSV("﻿a,b\r\n1,2\r\n\r\n,\r\n3,4"), [["a", "b"], ["1", "2"], ["3", "4"]]);
+});
+
+test("parseBool reads spreadsheet yes/no values", () => {
+  for (const v of ["true", "TRUE", "yes", "y", "1", "x"]) assert.equal(parseBool(v), true, v);
+  for (const v of ["false", "no", "n", "0", "", " "]) assert.equal(parseBool(v), false, v);
+  assert.equal(parseBool("maybe"), null);
+});
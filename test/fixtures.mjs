@@ -0,0 +1,12 @@
+// Meet rows shared by the scoring and meet checker tests.
+import { BUILTIN_RULESETS } from "../scoring.mjs";
+
+export const DIV_B = BUILTIN_RULESETS[0];
+
+// A scored 2026 Div B run: 100 + 2 × 40 cm + 9 s = 189.
+export const run = (fields = {}) => ({
+  status: "ok", vehicleDistanceCm: "40", time1: "8", time2: "9", time3: "10",
+  bucketBonus: false, competitionViolationPoints: false, constructionViolationPoints: false,
+  ...fields
+});
+export const team = (id, run1, run2, fields = {}) => ({ id, team: id, notImpounded: false, noShow: false, run1, run2, ...fields });
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { travelledCm, modelRuns, recommendSetup, tCrit95 } from "../recommender.mjs";
+
+const practice = (fields = {}) => ({
+  targetDistanceM: 9, vehicleDistanceCm: 20, distanceSide: "short", dialTurns: 10, winds: 5, failedRun: false,
+  ...fields
+});
+
+test("travelledCm adds or takes off the distance by stopping side", () => {
+  assert.equal(travelledCm(practice()), 880);
+  assert.equal(travelledCm(practice({ distanceSide: "past" })), 920);
+  assert.equal(travelledCm(practice({ vehicleDistanceCm: 0, distanceSide: "" })), 900);
+  assert.equal(travelledCm(practice({ distanceSide: "" })), null);
+});
+
+test("a blank distance is not a measurement", () => {
+  assert.equal(travelledCm(practice({ vehicleDistanceCm: "" })), null);
+  assert.equal(travelledCm(practice({ vehicleDistanceCm: "", distanceSide: "" })), null);
+});
+
+test("modelRuns leaves out blank-distance, failed and incomplete runs", () => {
+  const kept = practice();
+  const runs = [
+    kept,
+    practice({ vehicleDistanceCm: "", distanceSide: "" }),
+    practice({ vehicleDistanceCm: "" }),
+    practice({ failedRun: true }),
+    practice({ dialTurns: 0 }),
+    practice({ targetDistanceM: 0 })
+  ];
+  assert.deepEqual(modelRuns(runs), [kept]);
+});
+
+test("recommendSetup solves the fitted line for the target", () => {
+  const runs = [
+    practice({ dialTurns: 10, vehicleDistanceCm: 100 }),  // 800 cm
+    practice({ dialTurns: 11, vehicleDistanceCm: 10, distanceSide: "past" }),  // 910 cm
+    practice({ dialTurns: 12, vehicleDistanceCm: 110, distanceSide: "past" }),  // 1010 cm
+    practice({ dialTurns: 12, vehicleDistanceCm: "", distanceSide: "" })
+  ];
+  const rec = recommendSetup(runs, 9);
+  assert.equal(rec.used.length, 3);
+  assert.equal(rec.options.length, 1);
+  assert.ok(Math.abs(rec.options[0].dialTurns - 10.9) < 0.05);
+});
+
+test("tCrit95 has the exact value for each df up to 30", () => {
+  assert.deepEqual([1, 2, 15, 16, 17, 18, 20, 21, 25, 30].map(tCrit95), [12.71, 4.30, 2.13, 2.12, 2.11, 2.10, 2.09, 2.08, 2.06, 2.04]);
+  assert.equal(tCrit95(45), 2.02);
+  assert.ok(Number.isNaN(tCrit95(0)));
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkMeetCSV, meetRowFromCSV } from "../cli/score-meet.mjs";
+import { computeStandings, meetCSVRecord, MEET_CSV_HEADERS, DEFAULT_TIE_BREAKS } from "../scoring.mjs";
+import { toCSV, parseCSV } from "../csv.mjs";
+import { DIV_B, run } from "./fixtures.mjs";
+
+const ROWS = [
+  { id: "a", runOrder: 1, teamNumber: "B1", team: "Alpha, Inc", school: "North", checkIn: "done", notImpounded: false, noShow: false,
+    run1: run({ time3: "" }), run2: run({ status: "failed", bucketBonus: true }) },
+  { id: "b", runOrder: 2, teamNumber: "B2", team: "Beta", school: "South", checkIn: "in", notImpounded: true, noShow: false,
+    run1: run({ vehicleDistanceCm: "12.5" }), run2: run({ status: "dq" }) },
+  { id: "c", runOrder: 3, teamNumber: "B3", team: "Gamma", school: "", checkIn: "pending", notImpounded: false, noShow: true,
+    run1: run(), run2: run() }
+];
+
+// What the Meet tab's Export Meet CSV writes for ROWS.
+function exportCSV(rows = ROWS, tieBreaks = DEFAULT_TIE_BREAKS) {
+  const entryOf = new Map(computeStandings(rows, DIV_B, tieBreaks).map(e => [e.row.id, e]));
+  return toCSV(rows.map(r => meetCSVRecord(entryOf.get(r.id), DIV_B)), MEET_CSV_HEADERS);
+}
+
+function editCell(text, line, column, value) {
+  const rows = parseCSV(text);
+  rows[line - 1][rows[0].indexOf(column)] = value;
+  return rows.map(r => r.map(v => (/[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v)).join(",")).join("\n");
+}
+
+test("an exported meet checks clean", () => {
+  const { rules, teams, mismatches } = checkMeetCSV(exportCSV());
+  assert.equal(rules.id, DIV_B.id);
+  assert.equal(teams, 3);
+  assert.deepEqual(mismatches, []);
+});
+
+test("meetRowFromCSV rebuilds the team inputs", () => {
+  const [header, line] = parseCSV(exportCSV());
+  const row = meetRowFromCSV(Object.fromEntries(header.map((h, i) => [h, line[i]])), 2);
+  assert.equal(row.team, "Alpha, Inc");
+  assert.equal(row.run1.time3, "");
+  assert.equal(row.run2.status, "failed");
+  assert.equal(row.run2.bucketBonus, true);
+  assert.equal(row.notImpounded, false);
+});
+
+test("edited scores and places are reported by line and column", () => {
+  let text = editCell(exportCSV(), 2, "run1_score", "200");
+  text = editCell(text, 3, "place", "1");
+  const { mismatches } = checkMeetCSV(text);
+  assert.deepEqual(mismatches.map(m => [m.line, m.team, m.column, m.file, m.expected]), [
+    [2, "Alpha, Inc", "run1_score", "200", 185.67],
+    [3, "Beta", "place", "1", 2]
+  ]);
+});
+
+test("averages that left out a blank time are caught", () => {
+  const { mismatches } = checkMeetCSV(editCell(exportCSV(), 2, "run1_timeAvg", "8.5"));
+  assert.deepEqual(mismatches.map(m => [m.column, m.expected]), [["run1_timeAvg", 5.67]]);
+});
+
+test("scores within rounding match", () => {
+  assert.deepEqual(checkMeetCSV(editCell(exportCSV(), 2, "run1_score", "185.674")).mismatches, []);
+});
+
+test("changing an input makes the computed columns disagree", () => {
+  const { mismatches } = checkMeetCSV(editCell(exportCSV(), 2, "run1_distCm", "41"));
+  assert.deepEqual(mismatches.map(m => m.column), ["run1_score", "bestOf2", "finalMeetScore"]);
+});
+
+test("the meet's tie-breaks decide places", () => {
+  const tied = [
+    { ...ROWS[0], id: "x", run1: run(), run2: run({ vehicleDistanceCm: "60" }) },
+    { ...ROWS[1], id: "y", notImpounded: false, run1: run(), run2: run({ vehicleDistanceCm: "50" }) }
+  ];
+  // Exported with "distance" only, both teams share 1st.
+  const text = exportCSV(tied, ["distance"]);
+  assert.deepEqual(checkMeetCSV(text, { tieBreaks: ["distance"] }).mismatches, []);
+  const { mismatches } = checkMeetCSV(text);
+  assert.deepEqual(mismatches.map(m => [m.team, m.column, m.file, m.expected]), [["Alpha, Inc", "place", "1", 2]]);
+});
+
+test("files that cannot be checked are rejected", () => {
+  assert.throws(() => checkMeetCSV(""), /empty/);
+  assert.throws(() => checkMeetCSV("team,score\nA,1"), /missing column/);
+  assert.throws(() => checkMeetCSV(editCell(exportCSV(), 2, "ruleset", "club-2025")), /mixes rulesets/);
+  const custom = exportCSV().replace(/divB-2026/g, "club-2025");
+  assert.throws(() => checkMeetCSV(custom), /not built in/);
+  assert.deepEqual(checkMeetCSV(custom, { ruleset: { ...DIV_B, id: "club-2025" } }).mismatches, []);
+  assert.throws(() => checkMeetCSV(exportCSV(), { tieBreaks: ["coinToss"] }), /unknown tie-break/);
+});
@@ -0,0 +1,171 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  avgOfTimes, computeScore, meetRowResult, computeStandings, meetCSVRecord, MEET_CSV_HEADERS
+} from "../scoring.mjs";
+import { DIV_B, run, team } from "./fixtures.mjs";
+
+test("avgOfTimes averages the times given", () => {
+  assert.equal(avgOfTimes("8", "9", "10"), 9);
+  assert.equal(avgOfTimes(8, 9, 10), 9);
+});
+
+test("avgOfTimes counts blank times as 0 and leaves out invalid ones", () => {
+  assert.equal(avgOfTimes("8", "", "10"), 6);
+  assert.equal(avgOfTimes("8", "  ", "10"), 6);
+  assert.equal(avgOfTimes("8", null, undefined), 4);
+  assert.equal(avgOfTimes("8", "abc", "-1"), 8);
+  assert.equal(avgOfTimes("", "", ""), 0);
+  assert.equal(avgOfTimes(undefined, undefined, undefined), 0);
+});
+
+test("avgOfTimes keeps a recorded time of zero", () => {
+  assert.equal(avgOfTimes("0", "6", "9"), 5);
+});
+
+test("Div B score is 100 + 2 × distance + average time", () => {
+  const sc = computeScore(run(), DIV_B);
+  assert.equal(sc.total, 189);
+  assert.equal(sc.timeAvg, 9);
+  assert.equal(sc.status, "ok");
+  assert.deepEqual(
+    [sc.breakdown.base, sc.breakdown.distCm, sc.breakdown.distanceScore, sc.breakdown.timeScore],
+    [100, 40, 80, 9]
+  );
+});
+
+test("blank times count as 0 s in the average", () => {
+  const sc = computeScore(run({ time2: "", time3: "" }), DIV_B);
+  assert.equal(sc.timeAvg, 2.67);
+  assert.equal(sc.total, 182.67);
+  assert.equal(computeScore(run({ time1: "", time2: "", time3: "" }), DIV_B).total, 180);
+});
+
+test("a blank distance counts as 0 cm", () => {
+  assert.equal(computeScore(run({ vehicleDistanceCm: "" }), DIV_B).total, 109);
+});
+
+test("scores and averages are rounded to 2 decimals", () => {
+  const sc = computeScore(run({ time1: "1", time2: "1", time3: "2" }), DIV_B);
+  assert.equal(sc.timeAvg, 1.33);
+  assert.equal(sc.total, 181.33);
+});
+
+test("bucket bonus and penalties add to the score", () => {
+  assert.equal(computeScore(run({ bucketBonus: true }), DIV_B).total, 89);
+  assert.equal(computeScore(run({ competitionViolationPoints: true }), DIV_B).total, 339);
+  assert.equal(computeScore(run({ constructionViolationPoints: true }), DIV_B).total, 489);
+  const all = computeScore(run({ bucketBonus: true, competitionViolationPoints: true, constructionViolationPoints: true }), DIV_B);
+  assert.equal(all.total, 539);
+  assert.equal(all.breakdown.bucket, -100);
+  assert.equal(all.breakdown.penalties, 450);
+});
+
+test("a failed run is scored at 2500 cm and 0 s, plus penalties", () => {
+  const sc = computeScore(run({ status: "failed" }), DIV_B);
+  assert.equal(sc.total, 5100);
+  assert.equal(sc.timeAvg, 0);
+  assert.equal(sc.breakdown.failed, true);
+  assert.equal(computeScore(run({ status: "failed", competitionViolationPoints: true }), DIV_B).total, 5250);
+});
+
+test("practice runs mark failure with the failedRun flag", () => {
+  const { status, ...practice } = run({ failedRun: true });
+  assert.equal(computeScore(practice, DIV_B).total, 5100);
+  assert.equal(computeScore({ ...practice, failedRun: false }, DIV_B).total, 189);
+});
+
+test("Div B scores a run that did not happen as a failed run", () => {
+  const sc = computeScore(run({ status: "dnr" }), DIV_B);
+  assert.equal(sc.total, 5100);
+  assert.equal(sc.status, "dnr");
+  assert.equal(sc.scored, true);
+});
+
+test("a disqualified run has no score", () => {
+  const sc = computeScore(run({ status: "dq", bucketBonus: true }), DIV_B);
+  assert.equal(sc.total, null);
+  assert.equal(sc.scored, false);
+});
+
+test("computeScore defaults to the 2026 Div B rules", () => {
+  assert.equal(computeScore(run()).total, 189);
+});
+
+test("ruleset options: unscored DNR, fixed failed score, terms left out", () => {
+  assert.equal(computeScore(run({ status: "dnr" }), { ...DIV_B, didNotRun: "unscored" }).total, null);
+  const fixed = { ...DIV_B, failedRun: { mode: "fixed", distanceCm: 0, timeS: 0, score: 3000 } };
+  assert.equal(computeScore(run({ status: "failed" }), fixed).total, 3000);
+  assert.equal(computeScore(run({ status: "failed", constructionViolationPoints: true }), fixed).total, 3300);
+  const noBucket = { ...DIV_B, bucketBonus: null, competitionViolation: null };
+  assert.equal(computeScore(run({ bucketBonus: true, competitionViolationPoints: true }), noBucket).total, 189);
+});
+
+test("best-of-2 takes the lower run and Final adds the impound penalty", () => {
+  const res = meetRowResult(team("a", run(), run({ status: "failed" })), DIV_B);
+  assert.equal(res.bestOf2, 189);
+  assert.equal(res.bestRun, 1);
+  assert.equal(res.otherScore, 5100);
+  assert.equal(res.final, 189);
+  assert.equal(meetRowResult(team("a", run(), run({ status: "failed" }), { notImpounded: true }), DIV_B).final, 5189);
+});
+
+test("a disqualified run is left out of best-of-2", () => {
+  const res = meetRowResult(team("a", run({ status: "dq" }), run({ status: "failed" })), DIV_B);
+  assert.equal(res.bestOf2, 5100);
+  assert.equal(res.bestRun, 2);
+  assert.equal(res.otherScore, null);
+  assert.equal(res.bestFailed, true);
+});
+
+test("no Final without a scored run, or for a no-show", () => {
+  assert.equal(meetRowResult(team("a", run({ status: "dq" }), run({ status: "dq" })), DIV_B).final, null);
+  const noShow = meetRowResult(team("a", run(), run(), { noShow: true }), DIV_B);
+  assert.equal(noShow.final, null);
+  assert.equal(noShow.bestRun, null);
+});
+
+test("standings place by tier, then Final", () => {
+  const rows = [
+    team("failed", run({ status: "failed" }), run({ status: "dq" })),
+    team("noShow", run(), run(), { noShow: true }),
+    team("dq", run({ status: "dq" }), run({ status: "dq" })),
+    team("impound", run({ vehicleDistanceCm: "10" }), run({ status: "failed" }), { notImpounded: true }),
+    team("slow", run(), run({ status: "failed" })),
+    team("fast", run({ vehicleDistanceCm: "30" }), run({ status: "failed" }))
+  ];
+  const standings = computeStandings(rows, DIV_B, []);
+  assert.deepEqual(standings.map(e => [e.row.id, e.tier, e.place]), [
+    ["fast", 1, 1],
+    ["slow", 1, 2],
+    ["failed", 2, 3],
+    ["impound", 3, 4],
+    ["dq", 4, 5],
+    ["noShow", 5, 6]
+  ]);
+});
+
+test("tie-breaks apply in order and full ties share a place", () => {
+  const rows = [
+    team("a", run(), run({ vehicleDistanceCm: "60" })),
+    team("b", run(), run({ vehicleDistanceCm: "50" })),
+    team("c", run(), run({ vehicleDistanceCm: "50" })),
+    team("d", run({ vehicleDistanceCm: "70" }), run({ vehicleDistanceCm: "70" }))
+  ];
+  const places = (tieBreaks) => computeStandings(rows, DIV_B, tieBreaks).map(e => `${e.row.id}${e.place}`);
+  assert.deepEqual(places(["otherRun"]), ["b1", "c1", "a3", "d4"]);
+  assert.deepEqual(places([]), ["a1", "b1", "c1", "d4"]);
+});
+
+test("meet CSV records follow MEET_CSV_HEADERS", () => {
+  const rows = [team("a", run({ time2: "", time3: "" }), run({ status: "dq" }), { teamNumber: "B12", runOrder: 1 })];
+  const [entry] = computeStandings(rows, DIV_B, []);
+  const rec = meetCSVRecord(entry, DIV_B);
+  assert.deepEqual(Object.keys(rec), MEET_CSV_HEADERS);
+  assert.equal(rec.run1_timeAvg, 2.67);
+  assert.equal(rec.run1_score, 182.67);
+  assert.equal(rec.run2_status, "dq");
+  assert.equal(rec.run2_score, null);
+  assert.equal(rec.finalMeetScore, 182.67);
+  assert.equal(rec.place, 1);
+});